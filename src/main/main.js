@@ -5,12 +5,16 @@ const DocumentService = require('./services/documentService');
 const RAGService = require('./services/ragService');
 const VectorService = require('./services/vectorService');
 const OCRService = require('./services/ocrService');
+const IngestionQueueService = require('./services/ingestionQueueService');
+const UsageLedgerService = require('./services/usageLedgerService');
 
 let mainWindow;
 let documentService;
 let ragService;
 let vectorService;
 let ocrService;
+let ingestionQueue;
+let usageLedger;
 
 // Configure auto-updater (only in production)
 if (!app.isPackaged) {
@@ -109,12 +113,14 @@ app.whenReady().then(async () => {
   console.log('🚀 Initializing services with singleton pattern...');
   
   // Initialize services in dependency order (leaf services first)
-  vectorService = new VectorService();
+  usageLedger = new UsageLedgerService();
+  vectorService = new VectorService(usageLedger);
   ocrService = new OCRService();
   
   // Initialize services that depend on leaf services
   documentService = new DocumentService(vectorService, ocrService);
-  ragService = new RAGService(vectorService, documentService);
+  ragService = new RAGService(vectorService, documentService, usageLedger);
+  ingestionQueue = new IngestionQueueService(documentService);
   
   // Initialize services
   await ragService.initialize();
@@ -130,10 +136,35 @@ app.whenReady().then(async () => {
     console.warn('⚠️ Migration warning:', migrationResult.error);
   }
   
+  // Finish or flag documents left half-processed by a crash. Runs in the background
+  // because re-adding chunks to the vector database may call the embeddings API.
+  documentService.recoverInterruptedDocuments(ingestionQueue.getActiveDocumentIds()).then(recoveryResult => {
+    if (recoveryResult.recovered.length > 0 || recoveryResult.failed.length > 0) {
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('documents-recovered', recoveryResult);
+      }
+    }
+    // Retry any chunks left without embeddings by earlier runs
+    documentService.scheduleEmbeddingHeal(0);
+  });
+  
   console.log('✅ All services initialized with shared instances');
   
   setupIPCHandlers();
   createWindow();
+  
+  // Queue events go to whichever window is open; jobs keep running without one
+  ingestionQueue.setNotifier((channel, payload) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send(channel, payload);
+    }
+  });
+  documentService.setEmbeddingHealNotifier((payload) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('embedding-heal-progress', payload);
+    }
+  });
+  await ingestionQueue.start();
 });
 
 // IPC handlers for document operations
@@ -143,9 +174,11 @@ function setupIPCHandlers() {
     const result = await dialog.showOpenDialog(mainWindow, {
       properties: ['openFile', 'multiSelections'],
       filters: [
+        { name: 'All Supported', extensions: ['pdf', 'docx', 'txt', 'md', 'html', 'htm', 'rtf', 'png', 'jpg', 'jpeg', 'gif', 'bmp', 'tiff', 'webp'] },
         { name: 'PDF Documents', extensions: ['pdf'] },
+        { name: 'Word Documents', extensions: ['docx'] },
+        { name: 'Text Documents', extensions: ['txt', 'md', 'html', 'htm', 'rtf'] },
         { name: 'Image Files', extensions: ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'tiff', 'webp'] },
-        { name: 'All Supported', extensions: ['pdf', 'png', 'jpg', 'jpeg', 'gif', 'bmp', 'tiff', 'webp'] },
         { name: 'All Files', extensions: ['*'] }
       ]
     });
@@ -175,49 +208,93 @@ function setupIPCHandlers() {
     return { success: true, filePath: result.filePaths[0] };
   });
 
-  // Process uploaded documents with real-time progress tracking
-  ipcMain.handle('process-documents', async (event, filePaths) => {
-    const results = [];
+  // Queue uploaded documents and return the created jobs right away; results arrive as
+  // processing-status events, uploads matching an existing document as ingestion-duplicate.
+  // options.duplicateAction: 'skip' | 'replace' | 'new_version' for uploads matching an existing document
+  ipcMain.handle('process-documents', async (event, filePaths, options = {}) => {
+    return ingestionQueue.enqueue(filePaths, options);
+  });
+
+  // 📥 INGESTION QUEUE
+  
+  ipcMain.handle('get-ingestion-queue', async () => {
+    return ingestionQueue.getQueue();
+  });
+
+  ipcMain.handle('cancel-ingestion', async (event, jobId) => {
+    return ingestionQueue.cancel(jobId);
+  });
+
+  ipcMain.handle('retry-ingestion', async (event, jobId) => {
+    return ingestionQueue.retry(jobId);
+  });
+
+  ipcMain.handle('pause-ingestion', async () => {
+    return ingestionQueue.pause();
+  });
+
+  ipcMain.handle('resume-ingestion', async () => {
+    return ingestionQueue.resume();
+  });
+
+  ipcMain.handle('set-ingestion-concurrency', async (event, concurrency) => {
+    try {
+      return { success: true, queue: ingestionQueue.setConcurrency(concurrency) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+
+  ipcMain.handle('clear-finished-ingestion', async () => {
+    return ingestionQueue.clearFinished();
+  });
+
+  // Re-run extraction, chunking and embedding for a stored document in place
+  ipcMain.handle('reprocess-document', async (event, documentId) => {
+    const document = documentService.getDocument(documentId);
+    const fileName = document?.originalName || documentId;
     
-    for (const filePath of filePaths) {
-      const fileName = path.basename(filePath);
-      try {
-        // Send initial processing status
-        event.sender.send('processing-status', { fileName, status: 'processing' });
-        
-        // Create progress callback for real-time updates
-        const progressCallback = (progressData) => {
-          event.sender.send('document-progress', {
-            fileName,
-            ...progressData
-          });
-        };
-        
-        // Process document with progress tracking
-        const result = await documentService.processDocument(filePath, fileName, progressCallback);
-        results.push({ fileName, ...result });
-        
-        // Send final status
-        const finalStatus = result.success ? 'completed' : 'error';
-        event.sender.send('processing-status', { 
-          fileName, 
-          status: finalStatus, 
-          result,
-          processingTime: result.processingTime 
-        });
-        
-      } catch (error) {
-        console.error(`Error processing ${fileName}:`, error);
-        results.push({ fileName, success: false, error: error.message });
-        event.sender.send('processing-status', { 
-          fileName, 
-          status: 'error', 
-          error: error.message 
+    try {
+      event.sender.send('processing-status', { fileName, documentId, status: 'processing' });
+      
+      const progressCallback = (progressData) => {
+        event.sender.send('document-progress', {
+          fileName,
+          ...progressData
         });
-      }
+      };
+      
+      const result = await documentService.reprocessDocument(documentId, progressCallback);
+      
+      event.sender.send('processing-status', { 
+        fileName, 
+        documentId,
+        status: result.success ? 'completed' : 'error', 
+        result 
+      });
+      
+      return result;
+    } catch (error) {
+      console.error(`Error re-processing ${fileName}:`, error);
+      event.sender.send('processing-status', { 
+        fileName, 
+        documentId,
+        status: 'error', 
+        error: error.message 
+      });
+      return { success: false, error: error.message, documentId };
+    }
+  });
+
+  // Re-embed chunks stored without embeddings - one document, or the whole library when no ID is given.
+  // Progress and the final summary are also sent on 'embedding-heal-progress'.
+  ipcMain.handle('heal-embeddings', async (event, documentId = null) => {
+    try {
+      return await documentService.healEmbeddings(documentId);
+    } catch (error) {
+      console.error('Error healing embeddings:', error);
+      return { success: false, error: error.message };
     }
-    
-    return results;
   });
 
   // Get all documents
@@ -249,17 +326,49 @@ function setupIPCHandlers() {
     return true;
   });
 
+  // Chat/embedding models, generation parameters and OpenAI-compatible endpoint
+  ipcMain.handle('get-model-settings', async () => {
+    return documentService.getModelSettings();
+  });
+
+  ipcMain.handle('update-model-settings', async (event, settings) => {
+    try {
+      const updated = await documentService.updateModelSettings(settings);
+      ragService.resetOpenAI();
+      return { success: true, settings: updated };
+    } catch (error) {
+      console.error('Error updating model settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Vector database stats
   ipcMain.handle('get-vector-stats', async () => {
     return await documentService.getVectorStats();
   });
 
+  // Hybrid search (BM25 + vector rank fusion) parameters
+  ipcMain.handle('get-search-settings', async () => {
+    return vectorService.getSearchSettings();
+  });
+
+  ipcMain.handle('update-search-settings', async (event, settings) => {
+    try {
+      return { success: true, settings: vectorService.updateSearchSettings(settings) };
+    } catch (error) {
+      console.error('Error updating search settings:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Get supported file types
   ipcMain.handle('get-supported-types', async () => {
     return {
       pdf: ['pdf'],
+      word: ['docx'],
+      text: ['txt', 'md', 'html', 'htm', 'rtf'],
       images: ['png', 'jpg', 'jpeg', 'gif', 'bmp', 'tiff', 'webp'],
-      all: ['pdf', 'png', 'jpg', 'jpeg', 'gif', 'bmp', 'tiff', 'webp']
+      all: ['pdf', 'docx', 'txt', 'md', 'html', 'htm', 'rtf', 'png', 'jpg', 'jpeg', 'gif', 'bmp', 'tiff', 'webp']
     };
   });
 
@@ -328,25 +437,27 @@ function setupIPCHandlers() {
     try {
       const ocrInfo = documentService.getOCRInfo();
       
-      if (!ocrInfo.isInitialized) {
+      if (!documentService.isOCRReady()) {
         return {
           success: false,
-          error: 'OCR service not initialized. Please configure Google Vision API.',
+          error: 'OCR service not initialized. Please configure Google Vision API or enable the local Tesseract engine.',
           hasServiceAccount: ocrInfo.hasServiceAccount,
           projectId: ocrInfo.projectId
         };
       }
 
-      // Create a simple test image with text
+      // Run a lightweight check against the active engine
       const testResult = await documentService.testOCRConnection();
+      const engine = testResult.details?.engine || ocrInfo.activeEngine;
       
       return {
         success: testResult.success,
         message: testResult.message,
-        projectId: ocrInfo.projectId,
+        error: testResult.success ? undefined : testResult.message,
+        projectId: engine === 'tesseract' ? 'local' : ocrInfo.projectId,
         supportedLanguages: ocrInfo.supportedLanguages,
-        engine: 'google_vision',
-        isReady: ocrInfo.isConfigured
+        engine: engine,
+        isReady: testResult.success
       };
     } catch (error) {
       return {
@@ -371,9 +482,17 @@ function setupIPCHandlers() {
   });
 
   // Phase 3: RAG Chat functionality
-  ipcMain.handle('rag-query', async (event, query, conversationId, options) => {
+  // With options.requestId the answer is also streamed on 'rag-query-token'
+  ipcMain.handle('rag-query', async (event, query, conversationId, options = {}) => {
     try {
-      return await ragService.queryDocuments(query, conversationId, options);
+      const onToken = options.requestId
+        ? (delta) => {
+            if (!event.sender.isDestroyed()) {
+              event.sender.send('rag-query-token', { requestId: options.requestId, delta });
+            }
+          }
+        : null;
+      return await ragService.queryDocuments(query, conversationId, { ...options, onToken });
     } catch (error) {
       console.error('RAG query error:', error);
       return {
@@ -385,6 +504,11 @@ function setupIPCHandlers() {
     }
   });
 
+  // Stop a streaming rag-query; it resolves with the partial answer
+  ipcMain.handle('cancel-rag-query', async (event, requestId) => {
+    return ragService.cancelQuery(requestId);
+  });
+
   // RAG query focused on specific folder
   ipcMain.handle('rag-query-folder', async (event, query, folderId, conversationId, options = {}) => {
     try {
@@ -448,6 +572,23 @@ function setupIPCHandlers() {
     return ragService.getUserTokenBudget();
   });
 
+  // 💰 Usage ledger reports (options: { from, to } as YYYY-MM-DD)
+  ipcMain.handle('get-usage-by-day', async (event, options = {}) => {
+    return ragService.getUsage('day', options);
+  });
+
+  ipcMain.handle('get-usage-by-persona', async (event, options = {}) => {
+    return ragService.getUsage('persona', options);
+  });
+
+  ipcMain.handle('get-usage-by-folder', async (event, options = {}) => {
+    return ragService.getUsage('folder', options);
+  });
+
+  ipcMain.handle('get-usage-by-document', async (event, options = {}) => {
+    return ragService.getUsage('document', options);
+  });
+
   ipcMain.handle('set-user-token-budget', async (event, budget) => {
     return ragService.setUserTokenBudget(budget);
   });
@@ -498,8 +639,12 @@ function setupIPCHandlers() {
       
       // Return only primitive types for safe IPC serialization
       return {
-        primaryEngine: 'google_vision',
-        enableFallback: false,
+        primaryEngine: String(ocrInfo.primaryEngine || 'auto'),
+        enableFallback: Boolean(ocrInfo.enableFallback),
+        activeEngine: ocrInfo.activeEngine ? String(ocrInfo.activeEngine) : null,
+        googleVisionAvailable: isConfigured,
+        tesseractAvailable: Boolean(ocrInfo.tesseractAvailable),
+        tesseractLanguages: (ocrInfo.tesseractLanguages || []).map(String),
         isReady,
         supportedLanguages: ['hebrew', 'arabic', 'english'],
         isInitialized,
@@ -510,8 +655,12 @@ function setupIPCHandlers() {
     } catch (error) {
       console.error('Error getting OCR settings:', error);
       return {
-        primaryEngine: 'google_vision',
-        enableFallback: false,
+        primaryEngine: 'auto',
+        enableFallback: true,
+        activeEngine: null,
+        googleVisionAvailable: false,
+        tesseractAvailable: false,
+        tesseractLanguages: [],
         isReady: false,
         supportedLanguages: ['hebrew', 'arabic', 'english'],
         isInitialized: false,
@@ -524,9 +673,13 @@ function setupIPCHandlers() {
   });
 
   ipcMain.handle('update-ocr-settings', async (event, settings) => {
-    // For simplified OCR service, just acknowledge the update
-    console.log('⚙️ OCR settings updated (simplified):', settings);
-    return { success: true };
+    try {
+      const updated = documentService.updateOCRSettings(settings);
+      return { success: true, ...updated };
+    } catch (error) {
+      console.error('Error updating OCR settings:', error);
+      return { success: false, error: error.message };
+    }
   });
 }
 
@@ -536,6 +689,17 @@ app.on('window-all-closed', () => {
   }
 });
 
+app.on('will-quit', () => {
+  // Stop the local Tesseract worker thread if one was started
+  if (ocrService) {
+    ocrService.terminateTesseract();
+  }
+  // Write search index changes that are still waiting for their delayed save
+  if (vectorService) {
+    vectorService.saveIndexes();
+  }
+});
+
 app.on('activate', () => {
   if (BrowserWindow.getAllWindows().length === 0) {
     createWindow();
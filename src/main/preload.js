@@ -12,18 +12,33 @@ contextBridge.exposeInMainWorld('electronAPI', {
   selectGoogleServiceAccountFile: () => ipcRenderer.invoke('select-google-service-account-file'),
   
   // Document operations
-  processDocuments: (filePaths) => ipcRenderer.invoke('process-documents', filePaths),
+  processDocuments: (filePaths, options) => ipcRenderer.invoke('process-documents', filePaths, options),
   getDocuments: () => ipcRenderer.invoke('get-documents'),
   searchDocuments: (query, searchType) => ipcRenderer.invoke('search-documents', query, searchType),
   deleteDocument: (documentId) => ipcRenderer.invoke('delete-document', documentId),
+  reprocessDocument: (documentId) => ipcRenderer.invoke('reprocess-document', documentId),
+  healEmbeddings: (documentId = null) => ipcRenderer.invoke('heal-embeddings', documentId),
+  
+  // Ingestion queue
+  getIngestionQueue: () => ipcRenderer.invoke('get-ingestion-queue'),
+  cancelIngestion: (jobId) => ipcRenderer.invoke('cancel-ingestion', jobId),
+  retryIngestion: (jobId) => ipcRenderer.invoke('retry-ingestion', jobId),
+  pauseIngestion: () => ipcRenderer.invoke('pause-ingestion'),
+  resumeIngestion: () => ipcRenderer.invoke('resume-ingestion'),
+  setIngestionConcurrency: (concurrency) => ipcRenderer.invoke('set-ingestion-concurrency', concurrency),
+  clearFinishedIngestion: () => ipcRenderer.invoke('clear-finished-ingestion'),
   
   // Phase 2: API Key Management
   setOpenAIKey: (apiKey) => ipcRenderer.invoke('set-openai-key', apiKey),
   getStoredApiKey: () => ipcRenderer.invoke('get-stored-api-key'),
   clearApiKey: () => ipcRenderer.invoke('clear-api-key'),
+  getModelSettings: () => ipcRenderer.invoke('get-model-settings'),
+  updateModelSettings: (settings) => ipcRenderer.invoke('update-model-settings', settings),
   
   // Phase 2: Vector Database
   getVectorStats: () => ipcRenderer.invoke('get-vector-stats'),
+  getSearchSettings: () => ipcRenderer.invoke('get-search-settings'),
+  updateSearchSettings: (settings) => ipcRenderer.invoke('update-search-settings', settings),
   getSupportedTypes: () => ipcRenderer.invoke('get-supported-types'),
   
   // Phase 2: Language Support
@@ -32,6 +47,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
 
   // Phase 3: RAG Chat functionality
   ragQuery: (query, conversationId, options) => ipcRenderer.invoke('rag-query', query, conversationId, options),
+  cancelRagQuery: (requestId) => ipcRenderer.invoke('cancel-rag-query', requestId),
+  onRagQueryToken: (callback) => ipcRenderer.on('rag-query-token', callback),
   getConversationHistory: (conversationId) => ipcRenderer.invoke('get-conversation-history', conversationId),
   getAllConversations: () => ipcRenderer.invoke('get-all-conversations'),
   deleteConversation: (conversationId) => ipcRenderer.invoke('delete-conversation', conversationId),
@@ -47,6 +64,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // 💰 Token Budget Management
   getUserTokenBudget: () => ipcRenderer.invoke('get-user-token-budget'),
   setUserTokenBudget: (budget) => ipcRenderer.invoke('set-user-token-budget', budget),
+  getUsageByDay: (options) => ipcRenderer.invoke('get-usage-by-day', options),
+  getUsageByPersona: (options) => ipcRenderer.invoke('get-usage-by-persona', options),
+  getUsageByFolder: (options) => ipcRenderer.invoke('get-usage-by-folder', options),
+  getUsageByDocument: (options) => ipcRenderer.invoke('get-usage-by-document', options),
 
   // 📁 Folder Management
   getFolders: () => ipcRenderer.invoke('get-folders'),
@@ -76,6 +97,10 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Processing status listeners
   onProcessingStatus: (callback) => ipcRenderer.on('processing-status', callback),
   onDocumentProgress: (callback) => ipcRenderer.on('document-progress', callback),
+  onIngestionQueueUpdated: (callback) => ipcRenderer.on('ingestion-queue-updated', callback),
+  onIngestionDuplicate: (callback) => ipcRenderer.on('ingestion-duplicate', callback),
+  onDocumentsRecovered: (callback) => ipcRenderer.on('documents-recovered', callback),
+  onEmbeddingHealProgress: (callback) => ipcRenderer.on('embedding-heal-progress', callback),
   
   // Update operations
   restartApp: () => ipcRenderer.invoke('restart-app'),
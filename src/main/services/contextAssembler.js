@@ -0,0 +1,257 @@
+const { getEncoding, getEncodingNameForModel } = require('js-tiktoken');
+
+// Chat format overhead: every message is wrapped in role/separator tokens, and the
+// reply is primed with a few more
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+// Most recent history messages considered at all (4 user + 4 assistant)
+const MAX_HISTORY_MESSAGES = 8;
+
+// A chunk sharing at least this fraction of its span with an already packed chunk of the
+// same document adds too little to be worth its tokens
+const OVERLAP_THRESHOLD = 0.5;
+
+/**
+ * Packs retrieved chunks and conversation history into a prompt token budget
+ *
+ * Tokens are counted with the chat model's own tokenizer, so Hebrew and Arabic
+ * contracts are measured as the API will bill them. Chunks are taken best first,
+ * skipping duplicates (the same text twice, e.g. a template uploaded in two documents)
+ * and chunks that mostly overlap one already packed. The conversation summary comes
+ * next, and history only gets what is left, newest exchanges first, so it is always
+ * trimmed before evidence. Everything left out is reported with the reason.
+ */
+class ContextAssembler {
+  constructor() {
+    // Encodings by name; loading one parses its whole rank table
+    this.encodings = new Map();
+  }
+
+  /**
+   * Tokenizer for a chat model. Models js-tiktoken does not know (custom endpoints,
+   * newer snapshots) fall back by family: gpt-4o, gpt-4.1 and o-series use o200k_base,
+   * everything else cl100k_base.
+   * @param {string} model
+   */
+  getEncoding(model) {
+    let name;
+    try {
+      name = getEncodingNameForModel(model);
+    } catch (error) {
+      name = /^(gpt-4o|gpt-4\.1|o\d)/.test(model || '') ? 'o200k_base' : 'cl100k_base';
+    }
+
+    if (!this.encodings.has(name)) {
+      this.encodings.set(name, getEncoding(name));
+    }
+    return this.encodings.get(name);
+  }
+
+  /**
+   * Number of tokens in a text for a chat model
+   * @param {string} text
+   * @param {string} model
+   * @returns {number}
+   */
+  countTokens(text, model) {
+    if (!text) return 0;
+    return this.getEncoding(model).encode(text, [], []).length;
+  }
+
+  /**
+   * Prompt tokens of a chat request
+   * @param {Object[]} messages - [{ role, content }]
+   * @param {string} model
+   * @returns {number}
+   */
+  countMessageTokens(messages, model) {
+    return messages.reduce(
+      (sum, message) => sum + this.countTokens(message.content, model) + TOKENS_PER_MESSAGE,
+      TOKENS_PER_REPLY
+    );
+  }
+
+  /**
+   * Choose the chunks and history messages that fit the budget
+   * @param {Object} input
+   * @param {Object[]} input.results - Search results ({ document, chunks, ... }) in rank order
+   * @param {Object[]} input.history - Conversation messages, oldest first
+   * @param {string|null} input.summary - Content of the conversation summary message
+   * @param {string} input.prompt - The prompt with an empty context; its tokens are always spent
+   * @param {Function} input.formatContext - Renders results into the context block
+   * @param {string} input.model - Chat model whose tokenizer is used
+   * @param {number} input.budget - Prompt tokens allowed in total
+   * @returns {Object} { results, summary, history, report }; results keep their rank order
+   *   and hold only the packed chunks, summary is null if it did not fit
+   */
+  assemble({ results, history = [], summary = null, prompt, formatContext, model, budget }) {
+    const promptTokens = this.countMessageTokens([{ role: 'user', content: prompt }], model);
+    const contextBudget = Math.max(0, budget - promptTokens);
+
+    const { packed, omittedChunks } = this.packChunks(results, contextBudget, formatContext, model);
+    const packedResults = this.rebuildResults(results, packed);
+    const context = packedResults.length > 0 ? formatContext(packedResults) : '';
+    const contextTokens = this.countTokens(context, model);
+
+    const summaryTokens = summary ? this.countTokens(summary, model) + TOKENS_PER_MESSAGE : 0;
+    const summaryFits = summaryTokens > 0 && promptTokens + contextTokens + summaryTokens <= budget;
+    const usedTokens = promptTokens + contextTokens + (summaryFits ? summaryTokens : 0);
+
+    const { messages, historyTokens } = this.packHistory(history, budget - usedTokens, model);
+
+    const report = {
+      budget,
+      tokens: {
+        prompt: promptTokens,
+        context: contextTokens,
+        summary: summaryFits ? summaryTokens : 0,
+        history: historyTokens,
+        total: usedTokens + historyTokens
+      },
+      included: {
+        chunks: packed.length,
+        documents: packedResults.length,
+        summary: summaryFits,
+        historyMessages: messages.length
+      },
+      omitted: {
+        chunks: omittedChunks,
+        documents: results
+          .filter(result => !packedResults.some(packedResult => packedResult.document.id === result.document.id))
+          .map(result => result.document.id),
+        summary: summaryTokens > 0 && !summaryFits,
+        historyMessages: history.length - messages.length
+      }
+    };
+
+    console.log(`📦 Context packed | ${report.tokens.total}/${budget} tokens | ${packed.length} chunks (${omittedChunks.length} left out) | ${messages.length}/${history.length} history messages`);
+
+    return { results: packedResults, summary: summaryFits ? summary : null, history: messages, report };
+  }
+
+  // ---- Internal ----
+
+  // Greedy fill, best chunk first. The rendered context is re-measured at the end, since
+  // headers and separators cost tokens too, and the weakest chunks go until it fits.
+  packChunks(results, contextBudget, formatContext, model) {
+    const candidates = this.rankChunks(results);
+    const packed = [];
+    const omittedChunks = [];
+    let usedTokens = 0;
+
+    for (const candidate of candidates) {
+      const reason = this.redundancyReason(candidate, packed);
+      if (reason) {
+        omittedChunks.push(this.describeChunk(candidate, reason));
+        continue;
+      }
+
+      const tokens = this.countTokens(candidate.chunk.text, model);
+      if (usedTokens + tokens > contextBudget) {
+        omittedChunks.push(this.describeChunk(candidate, 'budget'));
+        continue;
+      }
+
+      packed.push(candidate);
+      usedTokens += tokens;
+    }
+
+    while (packed.length > 0) {
+      const context = formatContext(this.rebuildResults(results, packed));
+      if (this.countTokens(context, model) <= contextBudget) break;
+      omittedChunks.push(this.describeChunk(packed.pop(), 'budget'));
+    }
+
+    return { packed, omittedChunks };
+  }
+
+  // Chunks of all results, best first: by chunk similarity, then result rank
+  rankChunks(results) {
+    const candidates = [];
+    results.forEach((result, resultIndex) => {
+      (result.chunks || []).forEach((chunk, chunkIndex) => {
+        candidates.push({
+          result,
+          chunk,
+          resultIndex,
+          chunkIndex,
+          score: chunk.similarity ?? result.avgSimilarity ?? result.similarity ?? 0
+        });
+      });
+    });
+
+    return candidates.sort((a, b) =>
+      b.score - a.score || a.resultIndex - b.resultIndex || a.chunkIndex - b.chunkIndex);
+  }
+
+  // 'duplicate' if the text is already packed (anywhere), 'overlap' if most of the chunk's
+  // span in its document is; null if the chunk adds something new
+  redundancyReason(candidate, packed) {
+    const text = this.normalizeText(candidate.chunk.text);
+    const { chunk } = candidate;
+
+    for (const other of packed) {
+      const otherText = this.normalizeText(other.chunk.text);
+      if (text === otherText || otherText.includes(text)) return 'duplicate';
+
+      if (other.result.document.id !== candidate.result.document.id) continue;
+      if (chunk.id != null && chunk.id === other.chunk.id) return 'duplicate';
+
+      if (typeof chunk.startOffset === 'number' && typeof other.chunk.startOffset === 'number') {
+        const shared = Math.min(chunk.endOffset, other.chunk.endOffset) - Math.max(chunk.startOffset, other.chunk.startOffset);
+        const length = chunk.endOffset - chunk.startOffset;
+        if (length > 0 && shared >= OVERLAP_THRESHOLD * length) return 'overlap';
+      }
+    }
+
+    return null;
+  }
+
+  normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+  }
+
+  // Results in their original order, each holding only its packed chunks (original order)
+  rebuildResults(results, packed) {
+    return results
+      .map(result => {
+        const chunks = packed
+          .filter(candidate => candidate.result === result)
+          .sort((a, b) => a.chunkIndex - b.chunkIndex)
+          .map(candidate => candidate.chunk);
+        return { ...result, chunks };
+      })
+      .filter(result => result.chunks.length > 0);
+  }
+
+  describeChunk(candidate, reason) {
+    return {
+      documentId: candidate.result.document.id,
+      chunkId: candidate.chunk.id ?? null,
+      pageNumber: candidate.chunk.pageNumber ?? null,
+      reason
+    };
+  }
+
+  // Newest complete exchanges that fit; an exchange is a user message and its answer
+  packHistory(history, availableTokens, model) {
+    const recent = history.slice(-MAX_HISTORY_MESSAGES);
+    const messages = [];
+    let historyTokens = 0;
+
+    for (let end = recent.length; end > 0; end -= 2) {
+      const exchange = recent.slice(Math.max(0, end - 2), end);
+      const tokens = exchange.reduce(
+        (sum, message) => sum + this.countTokens(message.content, model) + TOKENS_PER_MESSAGE, 0);
+      if (historyTokens + tokens > availableTokens) break;
+
+      messages.unshift(...exchange);
+      historyTokens += tokens;
+    }
+
+    return { messages, historyTokens };
+  }
+}
+
+module.exports = ContextAssembler;
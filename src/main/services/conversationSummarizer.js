@@ -0,0 +1,96 @@
+// Length of the summary asked of the model
+const SUMMARY_MAX_WORDS = 250;
+
+// How much of each new turn the model sees when folding it into the summary. At most
+// SUMMARY_MAX_NEW_TURNS are folded per request; a longer backlog (after an upgrade, when
+// a long conversation is summarized for the first time) is folded in oldest-first batches.
+const SUMMARY_ANSWER_CHARS = 1500;
+const SUMMARY_MAX_NEW_TURNS = 8;
+
+/**
+ * Rolling summary of a conversation
+ *
+ * After every turn the summary so far and the turns it does not cover yet are merged
+ * into a new summary by the chat model, in the conversation's language. The summary is
+ * kept with the conversation and goes into the prompt ahead of the recent turns, so
+ * facts settled early in a long review are not lost when those turns no longer fit.
+ */
+class ConversationSummarizer {
+  /**
+   * The turns to fold into the summary next: the oldest ones it does not cover yet
+   * @param {Object[]} turns - All stored turns of the conversation, oldest first
+   * @param {number} coveredTurns - How many of them the summary already covers
+   * @returns {Object[]} At most SUMMARY_MAX_NEW_TURNS turns
+   */
+  nextBatch(turns, coveredTurns) {
+    return turns.slice(coveredTurns, coveredTurns + SUMMARY_MAX_NEW_TURNS);
+  }
+
+  /**
+   * Whether a batch from nextBatch left older turns waiting for another update
+   * @param {Object[]} batch
+   * @returns {boolean}
+   */
+  isFullBatch(batch) {
+    return batch.length >= SUMMARY_MAX_NEW_TURNS;
+  }
+
+  /**
+   * Chat messages asking the model for the updated summary
+   * @param {string|null} summary - Current summary, null for the first one
+   * @param {Object[]} turns - Turns to fold in, from nextBatch ({ query, response }), oldest first
+   * @param {string} language - Language to write in, e.g. 'hebrew'
+   * @returns {Object[]} [{ role, content }]
+   */
+  buildMessages(summary, turns, language) {
+    const transcript = turns.map(turn => {
+      const response = turn.response.length > SUMMARY_ANSWER_CHARS
+        ? `${turn.response.slice(0, SUMMARY_ANSWER_CHARS)}...`
+        : turn.response;
+      return `User: ${turn.query}\n\nAssistant: ${response}`;
+    }).join('\n\n');
+
+    return [
+      {
+        role: 'system',
+        content: 'You keep a running summary of a contract review conversation. ' +
+          'Merge the new exchanges into the current summary. Keep what later questions may rely on: ' +
+          'the documents and parties discussed, figures, dates, clause references, conclusions reached, ' +
+          `and what the user is trying to find out. Leave out greetings and repetition. At most ${SUMMARY_MAX_WORDS} words. ` +
+          `Write in ${this.languageName(language)}. Reply with the summary only.`
+      },
+      {
+        role: 'user',
+        content: `Current summary:\n${summary || '(none yet)'}\n\nNew exchanges:\n${transcript}\n\nUpdated summary:`
+      }
+    ];
+  }
+
+  /**
+   * The summary from the model's reply, or null if it is empty
+   * @param {string} reply
+   * @returns {string|null}
+   */
+  parseSummary(reply) {
+    const summary = (reply || '').trim().replace(/^updated summary\s*:\s*/i, '').trim();
+    return summary || null;
+  }
+
+  /**
+   * Content of the message that carries the summary into the chat prompt
+   * @param {string} summary
+   * @returns {string}
+   */
+  formatForPrompt(summary) {
+    return `Summary of the conversation so far (earlier turns may not be shown):\n${summary}`;
+  }
+
+  // ---- Internal ----
+
+  languageName(language) {
+    const name = language || 'english';
+    return name.charAt(0).toUpperCase() + name.slice(1);
+  }
+}
+
+module.exports = ConversationSummarizer;
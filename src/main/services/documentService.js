@@ -1,11 +1,37 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const pdfParse = require('pdf-parse');
 const Store = require('electron-store');
 const { v4: uuidv4 } = require('uuid');
 const VectorService = require('./vectorService');
 const OCRService = require('./ocrService');
 const FolderService = require('./folderService');
+const DocxService = require('./docxService');
+const TextFormatService = require('./textFormatService');
+
+// Background embedding repair backoff: 1 min, doubling after each failed run, capped at 1 hour
+const EMBEDDING_HEAL_BASE_DELAY = 60 * 1000;
+const EMBEDDING_HEAL_MAX_DELAY = 60 * 60 * 1000;
+
+// Per-page PDF text layer checks deciding which pages go to OCR: fewer letters than this
+// is treated as no text layer; more replacement characters or fewer letters and digits
+// (shares of the visible characters) as garbled. Pages that pass keep their text layer.
+const PDF_TEXT_LAYER_MIN_LETTERS = 5;
+const PDF_TEXT_LAYER_MAX_REPLACEMENT_SHARE = 0.05;
+const PDF_TEXT_LAYER_MIN_ALNUM_SHARE = 0.4;
+
+// Metadata produced by extraction/chunking/vectorization. Cleared on re-process;
+// everything else (folder, upload info, user-entered fields) is kept.
+const EXTRACTION_FIELDS = [
+  'status', 'processingSteps', 'error', 'errorTimestamp', 'reprocessError', 'reprocessFailedAt',
+  'textLength', 'chunksCount', 'documentType', 'processingCompletedAt',
+  'vectorized', 'vectorizationError', 'missingEmbeddings', 'wordCount', 'detectedLanguage', 'hasHebrew', 'hasArabic',
+  'totalPages', 'pageResults', 'isScannedPDF', 'isHybridPDF', 'pagesProcessed',
+  'tableCount', 'numberedParagraphs', 'trackedChanges', 'sourceFormat', 'sourceEncoding', 'textHash',
+  'recoveredAt', 'recoveryNote', 'recoveryFailed',
+  'ocrConfidence', 'ocrEngine', 'ocrError', 'processingTime', 'conversionTime', 'ocrTime'
+];
 
 class DocumentService {
   constructor(vectorService = null, ocrService = null, folderService = null) {
@@ -24,6 +50,14 @@ class DocumentService {
     this.vectorService = vectorService || new VectorService();
     this.ocrService = ocrService || new OCRService();
     this.folderService = folderService || new FolderService();
+    this.docxService = new DocxService();
+    this.textFormatService = new TextFormatService();
+    
+    // Embedding repair state (see healEmbeddings)
+    this.embeddingHealInProgress = false;
+    this.embeddingHealFailures = 0;
+    this.embeddingHealTimer = null;
+    this.notifyEmbeddingHeal = () => {};
     
     // Initialize vector service
     this.initializeServices();
@@ -37,7 +71,7 @@ class DocumentService {
     try {
       await this.vectorService.initialize();
       await this.ocrService.autoInitialize();
-      console.log('✅ Phase 3 services initialized (Google Vision OCR)');
+      console.log('✅ Phase 3 services initialized (Google Vision + Tesseract OCR)');
     } catch (error) {
       console.error('⚠️ Error initializing Phase 3 services:', error);
     }
@@ -49,8 +83,13 @@ class DocumentService {
     }
   }
 
-  async processDocument(filePath, fileName, progressCallback = null, folderId = null) {
-    const documentId = uuidv4();
+  // options.duplicateAction decides what happens when the upload matches an existing
+  // document: unset/'skip' returns a duplicate result, 'replace' swaps the content of
+  // the existing document, 'new_version' keeps both and links them as versions.
+  // options.documentId pre-assigns the new ID; options.signal (AbortSignal) cancels.
+  async processDocument(filePath, fileName, progressCallback = null, folderId = null, options = {}) {
+    const { duplicateAction = null, signal = null } = options;
+    const documentId = options.documentId || uuidv4();
     console.log(`🔄 Processing document: ${fileName} (ID: ${documentId})`);
     
     // Validate folder or use default
@@ -58,6 +97,213 @@ class DocumentService {
       ? folderId 
       : this.folderService.getDefaultFolderId();
     
+    const reportProgress = this.createProgressReporter(documentId, fileName, progressCallback);
+    reportProgress('initializing');
+    
+    let metadata = null;
+    
+    try {
+      const fileExt = path.extname(fileName).toLowerCase();
+      const fileSize = fs.statSync(filePath).size;
+      console.log(`📄 File type: ${fileExt}, Size: ${fileSize} bytes`);
+      
+      reportProgress('file_validation', { fileSize });
+
+      // Identical bytes are caught before any extraction work is done
+      const fileHash = this.hashContent(fs.readFileSync(filePath));
+      const fileMatch = this.findDuplicateDocument({ fileHash });
+      if (fileMatch && duplicateAction !== 'new_version') {
+        return await this.handleDuplicate(fileMatch, filePath, fileName, progressCallback, duplicateAction, signal);
+      }
+
+      // Keep the original next to the extracted text so it can be re-processed later
+      const storedFilePath = this.storeOriginalFile(filePath, documentId, fileExt);
+      
+      metadata = {
+        id: documentId,
+        originalName: fileName,
+        fileSize: fileSize,
+        uploadedAt: new Date().toISOString(),
+        fileType: fileExt,
+        status: 'processing',
+        processingSteps: [],
+        hasUnicodeFilename: /[^\x00-\x7F]/.test(filePath),
+        originalFile: path.basename(storedFilePath),
+        fileHash: fileHash,
+        folderId: targetFolderId,
+        folderName: this.folderService.getFolder(targetFolderId)?.name || 'All Documents'
+      };
+
+      if (fileMatch) {
+        this.applyVersionInfo(metadata, fileMatch.document);
+      }
+
+      const result = await this.runProcessingPipeline(documentId, storedFilePath, fileName, metadata, reportProgress, {
+        checkDuplicates: !fileMatch,
+        duplicateAction,
+        signal
+      });
+
+      if (result.duplicate) {
+        // Nothing was saved for the new ID yet - only the stored original needs removing
+        fs.unlinkSync(storedFilePath);
+        return await this.handleDuplicate(result.match, filePath, fileName, progressCallback, duplicateAction, signal);
+      }
+
+      return result;
+
+    } catch (error) {
+      if (error.cancelled) {
+        console.log(`⏹️ Processing cancelled: ${fileName}`);
+        await this.deleteDocument(documentId);
+        return { success: false, cancelled: true, documentId, fileName };
+      }
+      
+
+      console.error(`\n❌ Error processing document ${fileName}:`, error.message);
+      console.error(`📄 Document ID: ${documentId}`);
+      console.error(`🔍 Error details:`, error);
+      
+      // Try to save error metadata if possible
+      try {
+        const errorMetadata = {
+          id: documentId,
+          originalName: fileName,
+          fileSize: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0,
+          uploadedAt: new Date().toISOString(),
+          fileType: path.extname(fileName).toLowerCase(),
+          status: 'error',
+          error: error.message,
+          errorTimestamp: new Date().toISOString(),
+          originalFile: metadata?.originalFile,
+          folderId: targetFolderId,
+          folderName: this.folderService.getFolder(targetFolderId)?.name || 'All Documents',
+          processingSteps: metadata?.processingSteps || []
+        };
+        
+        // Add final error step
+        errorMetadata.processingSteps.push({
+          step: 'processing_failed',
+          timestamp: new Date().toISOString(),
+          error: error.message
+        });
+        
+        this.saveDocumentMetadata(documentId, errorMetadata);
+        console.log(`💾 Error metadata saved for debugging`);
+      } catch (metadataError) {
+        console.error(`⚠️ Could not save error metadata:`, metadataError.message);
+      }
+      
+      return {
+        success: false,
+        error: error.message,
+        documentId: documentId,
+        fileName: fileName
+      };
+    }
+  }
+
+  // Re-run extraction, chunking and embedding for an existing document from its
+  // stored original. The document ID, folder and user-entered metadata are kept.
+  async reprocessDocument(documentId, progressCallback = null) {
+    const existing = this.getDocument(documentId);
+    if (!existing) {
+      return { success: false, error: 'Document not found', documentId };
+    }
+
+    const originalPath = this.getOriginalFilePath(existing);
+    if (!originalPath) {
+      return {
+        success: false,
+        error: 'The original file is not stored for this document. Please upload it again.',
+        documentId,
+        fileName: existing.originalName
+      };
+    }
+
+    console.log(`🔁 Re-processing document: ${existing.originalName} (ID: ${documentId})`);
+    return await this.rebuildDocument(existing, originalPath, {
+      reprocessedAt: new Date().toISOString(),
+      reprocessCount: (existing.reprocessCount || 0) + 1
+    }, progressCallback);
+  }
+
+  // Replace the content of an existing document with a newly uploaded file,
+  // keeping its ID, folder and user-entered metadata
+  async replaceDocument(documentId, filePath, fileName, progressCallback = null, signal = null) {
+    const existing = this.getDocument(documentId);
+    if (!existing) {
+      return { success: false, error: 'Document not found', documentId };
+    }
+
+    console.log(`♻️ Replacing document ${existing.originalName} with ${fileName} (ID: ${documentId})`);
+    const fileExt = path.extname(fileName).toLowerCase();
+    const result = await this.rebuildDocument(existing, filePath, {
+      originalName: fileName,
+      fileSize: fs.statSync(filePath).size,
+      fileType: fileExt,
+      fileHash: this.hashContent(fs.readFileSync(filePath)),
+      hasUnicodeFilename: /[^\x00-\x7F]/.test(filePath),
+      replacedAt: new Date().toISOString()
+    }, progressCallback, signal);
+
+    if (result.success) {
+      // Swap the stored original only once the new content is in place
+      const previousOriginal = this.getOriginalFilePath(existing);
+      if (previousOriginal) {
+        fs.unlinkSync(previousOriginal);
+      }
+      const storedFilePath = this.storeOriginalFile(filePath, documentId, fileExt);
+      result.document.originalFile = path.basename(storedFilePath);
+      this.saveDocumentMetadata(documentId, result.document);
+    }
+
+    return { ...result, replaced: result.success };
+  }
+
+  // Run the processing pipeline again for an existing document ID. On failure the
+  // previous extraction is left in place and the error is recorded on the document.
+  async rebuildDocument(existing, sourcePath, overrides, progressCallback, signal = null) {
+    const documentId = existing.id;
+    const fileName = overrides.originalName || existing.originalName;
+    const reportProgress = this.createProgressReporter(documentId, fileName, progressCallback);
+    reportProgress('initializing');
+
+    const metadata = { ...existing };
+    EXTRACTION_FIELDS.forEach(field => delete metadata[field]);
+    Object.assign(metadata, overrides, {
+      status: 'processing',
+      processingSteps: [{ step: 'rebuild_started', timestamp: new Date().toISOString() }]
+    });
+
+    try {
+      return await this.runProcessingPipeline(documentId, sourcePath, fileName, metadata, reportProgress, { replaceVectors: true, signal });
+    } catch (error) {
+      if (error.cancelled) {
+        // Cancellation is only honoured before anything is written, so the old content is intact
+        console.log(`⏹️ Re-processing cancelled: ${fileName}`);
+        return { success: false, cancelled: true, documentId, fileName };
+      }
+      
+      console.error(`❌ Re-processing failed for ${fileName}:`, error.message);
+
+      // Leave the previous extraction in place and record why the re-run failed
+      this.saveDocumentMetadata(documentId, {
+        ...existing,
+        reprocessError: error.message,
+        reprocessFailedAt: new Date().toISOString()
+      });
+
+      return {
+        success: false,
+        error: error.message,
+        documentId: documentId,
+        fileName: fileName
+      };
+    }
+  }
+
+  createProgressReporter(documentId, fileName, progressCallback) {
     // Progress tracking setup
     const startTime = Date.now();
     const progressSteps = {
@@ -72,9 +318,16 @@ class DocumentService {
       'completed': { progress: 100, message: 'Document processing completed!' }
     };
 
-    const reportProgress = (step, additionalInfo = {}) => {
+    return (step, additionalInfo = {}) => {
       if (progressCallback) {
-        const stepInfo = progressSteps[step];
+        const stepInfo = { ...progressSteps[step] };
+        
+        // Embedding is the slowest step for long documents - spread it over 95-99%
+        if (step === 'vectorizing' && additionalInfo.totalChunks > 0) {
+          const fraction = Math.min(additionalInfo.chunksProcessed / additionalInfo.totalChunks, 1);
+          stepInfo.progress = 95 + Math.floor(fraction * 4);
+        }
+        
         const elapsed = Date.now() - startTime;
         const estimatedTotal = stepInfo.progress > 0 ? (elapsed / stepInfo.progress) * 100 : elapsed * 2;
         const eta = Math.max(0, estimatedTotal - elapsed);
@@ -91,45 +344,33 @@ class DocumentService {
         });
       }
     };
+  }
 
-    reportProgress('initializing');
+  // Extract text from the stored original, chunk it, save it and add it to the
+  // vector database. Throws on extraction failure; callers record the error.
+  async runProcessingPipeline(documentId, sourcePath, fileName, metadata, reportProgress, options = {}) {
+    const { replaceVectors = false, checkDuplicates = false, duplicateAction = null, signal = null } = options;
+    const startTime = Date.now();
+    const fileExt = metadata.fileType;
     
-    // Handle Hebrew/Unicode filenames by copying to safe ASCII path
-    let workingFilePath = filePath;
+    // Handle Hebrew/Unicode paths by copying to safe ASCII path
+    let workingFilePath = sourcePath;
     let tempFilePath = null;
     
     try {
-      const fileExt = path.extname(fileName).toLowerCase();
-      console.log(`📄 File type: ${fileExt}, Size: ${fs.statSync(filePath).size} bytes`);
-      
-      reportProgress('file_validation', { fileSize: fs.statSync(filePath).size });
-
-      // Check if filename contains non-ASCII characters that might cause issues
-      const hasUnicodeChars = /[^\x00-\x7F]/.test(filePath);
-      if (hasUnicodeChars) {
+      if (/[^\x00-\x7F]/.test(sourcePath)) {
         console.log(`🔤 Unicode characters detected in file path, creating safe copy...`);
-        tempFilePath = this.createSafeFilePath(filePath, documentId);
-        await this.copyToSafePath(filePath, tempFilePath);
+        tempFilePath = this.createSafeFilePath(sourcePath, documentId);
+        await this.copyToSafePath(sourcePath, tempFilePath);
         workingFilePath = tempFilePath;
         console.log(`📁 Working with safe file path: ${path.basename(tempFilePath)}`);
       }
       
+      this.throwIfCancelled(signal);
+      
       // Read file buffer
       const buffer = fs.readFileSync(workingFilePath);
-      
       let extractedText = '';
-      let metadata = {
-        id: documentId,
-        originalName: fileName,
-        fileSize: buffer.length,
-        uploadedAt: new Date().toISOString(),
-        fileType: fileExt,
-        status: 'processing',
-        processingSteps: [],
-        hasUnicodeFilename: hasUnicodeChars,
-        folderId: targetFolderId,
-        folderName: this.folderService.getFolder(targetFolderId)?.name || 'All Documents'
-      };
 
       // Extract text based on file type
       if (fileExt === '.pdf') {
@@ -149,55 +390,81 @@ class DocumentService {
         });
         metadata.processingSteps.push({ step: 'pdf_extraction_completed', timestamp: new Date().toISOString() });
         
-        // Check if the result is an OCR result object or just text
-        if (typeof pdfResult === 'object' && pdfResult.text) {
-          // This is a scanned PDF that was processed with OCR
-          extractedText = pdfResult.text;
-          
-          // Store comprehensive OCR metadata for scanned PDFs
-          metadata.ocrConfidence = pdfResult.confidence;
-          metadata.wordCount = pdfResult.wordCount;
-          metadata.detectedLanguage = pdfResult.language;
-          metadata.hasHebrew = pdfResult.language === 'hebrew';
-          metadata.hasArabic = pdfResult.language === 'arabic';
-          metadata.ocrEngine = pdfResult.engine;
+        extractedText = pdfResult.text;
+        metadata.totalPages = pdfResult.totalPages;
+        metadata.pageResults = pdfResult.pageResults;
+        metadata.isScannedPDF = pdfResult.isScannedPDF;
+        metadata.isHybridPDF = pdfResult.isHybridPDF;
+        metadata.wordCount = pdfResult.wordCount;
+        metadata.detectedLanguage = pdfResult.language;
+        metadata.hasHebrew = pdfResult.language === 'hebrew';
+        metadata.hasArabic = pdfResult.language === 'arabic';
+        
+        if (pdfResult.ocrUsed) {
+          // Store OCR metadata for the pages that went through OCR
+          metadata.ocrConfidence = pdfResult.ocrConfidence;
+          metadata.ocrEngine = pdfResult.ocrEngine;
           metadata.processingTime = pdfResult.processingTime;
-          metadata.pagesProcessed = pdfResult.pagesProcessed;
-          metadata.totalPages = pdfResult.totalPages;
-          metadata.isScannedPDF = true;
+          metadata.pagesProcessed = pdfResult.ocrPages;
           metadata.conversionTime = pdfResult.conversionTime;
           metadata.ocrTime = pdfResult.ocrTime;
           
-          if (pdfResult.pageResults) {
-            metadata.pageResults = pdfResult.pageResults.map(pr => ({
-              pageNum: pr.pageNum,
-              hasError: !!pr.error,
-              error: pr.error,
-              textLength: pr.result?.text?.length || 0,
-              confidence: pr.result?.confidence || 0
-            }));
-          }
-          
-          console.log(`✅ Scanned PDF OCR processing completed for ${fileName}`);
-          console.log(`📊 Engine: ${pdfResult.engine}, Confidence: ${pdfResult.confidence.toFixed(1)}%, Language: ${pdfResult.language}`);
+          console.log(`✅ PDF OCR processing completed for ${fileName}`);
+          console.log(`📊 Engine: ${pdfResult.ocrEngine}, Confidence: ${pdfResult.ocrConfidence.toFixed(1)}%, Language: ${pdfResult.language}`);
           console.log(`⏱️ Processing: ${pdfResult.processingTime}ms total (${pdfResult.conversionTime}ms convert + ${pdfResult.ocrTime}ms OCR)`);
-          console.log(`📄 Pages: ${pdfResult.pagesProcessed}/${pdfResult.totalPages} processed successfully`);
-          
-          if (pdfResult.language === 'hebrew') {
-            console.log(`🔤 Hebrew text detected - enhanced processing enabled`);
-          }
-          
-        } else if (typeof pdfResult === 'string') {
-          // Regular PDF with embedded text
-          extractedText = pdfResult;
-          metadata.isScannedPDF = false;
-          console.log(`📄 Standard PDF text extraction: ${extractedText.length} characters`);
-        } else {
-          throw new Error('Invalid PDF processing result');
         }
         
+        if (pdfResult.ocrError) {
+          metadata.ocrError = pdfResult.ocrError;
+        }
+        
+        console.log(`📄 Pages: ${pdfResult.textPages} text, ${pdfResult.ocrPages} OCR of ${pdfResult.totalPages} total`);
+        
+        if (pdfResult.language === 'hebrew') {
+          console.log(`🔤 Hebrew text detected - enhanced processing enabled`);
+        }
+        
+      } else if (fileExt === '.docx') {
+        console.log(`📝 Starting Word document extraction for ${fileName}...`);
+        reportProgress('text_extraction', { stage: 'docx_parsing' });
+        metadata.processingSteps.push({ step: 'docx_extraction_started', timestamp: new Date().toISOString() });
+        
+        const docxResult = await this.docxService.extractText(buffer);
+        metadata.processingSteps.push({ step: 'docx_extraction_completed', timestamp: new Date().toISOString() });
+        
+        extractedText = docxResult.text;
+        metadata.wordCount = docxResult.wordCount;
+        metadata.tableCount = docxResult.tableCount;
+        metadata.numberedParagraphs = docxResult.numberedParagraphs;
+        metadata.trackedChanges = docxResult.trackedChanges.length;
+        metadata.detectedLanguage = this.ocrService.detectLanguage(extractedText);
+        metadata.hasHebrew = metadata.detectedLanguage === 'hebrew';
+        metadata.hasArabic = metadata.detectedLanguage === 'arabic';
+        
+        console.log(`✅ Word extraction completed for ${fileName}`);
+        console.log(`📊 ${docxResult.paragraphCount} paragraphs (${docxResult.numberedParagraphs} numbered), ${docxResult.tableCount} tables, ${docxResult.trackedChanges.length} tracked changes`);
+        
+      } else if (this.textFormatService.isSupported(fileExt)) {
+        console.log(`📝 Starting text extraction for ${fileName}...`);
+        reportProgress('text_extraction', { stage: 'text_parsing' });
+        metadata.processingSteps.push({ step: 'text_extraction_started', timestamp: new Date().toISOString() });
+        
+        const textResult = this.textFormatService.extractText(buffer, fileExt);
+        metadata.processingSteps.push({ step: 'text_extraction_completed', timestamp: new Date().toISOString() });
+        
+        extractedText = textResult.text;
+        metadata.wordCount = textResult.wordCount;
+        metadata.sourceFormat = textResult.format;
+        metadata.sourceEncoding = textResult.encoding;
+        metadata.detectedLanguage = this.ocrService.detectLanguage(extractedText);
+        metadata.hasHebrew = metadata.detectedLanguage === 'hebrew';
+        metadata.hasArabic = metadata.detectedLanguage === 'arabic';
+        
+        console.log(`✅ ${textResult.format.toUpperCase()} extraction completed for ${fileName}`);
+        console.log(`📊 Encoding: ${textResult.encoding}, ${textResult.wordCount} words`);
+        
       } else if (this.isImageFile(fileName)) {
-        // Process image files with Google Vision OCR
+        // Process image files with the configured OCR engine
         console.log(`🖼️ Starting image OCR processing: ${fileName}`);
         reportProgress('ocr_processing', { stage: 'image_ocr' });
         metadata.processingSteps.push({ step: 'image_ocr_started', timestamp: new Date().toISOString() });
@@ -236,7 +503,7 @@ class DocumentService {
           throw new Error(`Image OCR failed: ${ocrError.message}. Please ensure the image is clear and contains readable text.`);
         }
       } else {
-        throw new Error(`Unsupported file type: ${fileExt}. Supported formats: PDF, PNG, JPG, JPEG, GIF, BMP, WEBP`);
+        throw new Error(`Unsupported file type: ${fileExt}. Supported formats: PDF, DOCX, TXT, MD, HTML, RTF, PNG, JPG, JPEG, GIF, BMP, WEBP`);
       }
 
       // Validate extracted text
@@ -245,6 +512,19 @@ class DocumentService {
       }
 
       console.log(`📝 Text extraction successful: ${extractedText.length} characters extracted`);
+      this.throwIfCancelled(signal);
+
+      // The same contract in a different file (re-saved, re-exported) has the same text
+      metadata.textHash = this.hashText(extractedText);
+      if (checkDuplicates) {
+        const textMatch = this.findDuplicateDocument({ textHash: metadata.textHash }, documentId);
+        if (textMatch && duplicateAction !== 'new_version') {
+          return { success: false, duplicate: true, match: textMatch };
+        }
+        if (textMatch) {
+          this.applyVersionInfo(metadata, textMatch.document);
+        }
+      }
 
       // Document type detection and chunking
       reportProgress('document_analysis', { textLength: extractedText.length });
@@ -258,7 +538,8 @@ class DocumentService {
       const chunks = this.contractAwareChunking(extractedText, {
         chunkSize: 512,
         overlap: 50,
-        documentType: documentType
+        documentType: documentType,
+        pages: this.buildPageMap(extractedText, metadata.pageResults)
       });
       
       metadata.processingSteps.push({ 
@@ -270,6 +551,9 @@ class DocumentService {
 
       console.log(`📝 Created ${chunks.length} chunks using ${documentType} strategy`);
 
+      // Last checkpoint for re-processing: after this the previous content is overwritten
+      this.throwIfCancelled(signal);
+      
       // Save extracted text and chunks
       reportProgress('saving', { chunksCount: chunks.length });
       console.log(`💾 Saving document data...`);
@@ -290,22 +574,40 @@ class DocumentService {
       this.saveDocumentMetadata(documentId, metadata);
       metadata.processingSteps.push({ step: 'metadata_saved', timestamp: new Date().toISOString() });
 
+      // New documents can still be abandoned before the (slow) embedding step
+      if (!replaceVectors) {
+        this.throwIfCancelled(signal);
+      }
+      
       // Add to vector database for semantic search
       reportProgress('vectorizing', { chunksCount: chunks.length });
       console.log(`🧠 Adding to vector database...`);
       metadata.processingSteps.push({ step: 'vectorization_started', timestamp: new Date().toISOString() });
       
       try {
-        await this.vectorService.addDocument(documentId, chunks, (vectorProgress) => {
+        if (replaceVectors) {
+          // Drop the previous chunks first - the new run may produce fewer of them
+          await this.vectorService.removeDocument(documentId);
+        }
+        const added = await this.vectorService.addDocument(documentId, chunks, (vectorProgress) => {
           reportProgress('vectorizing', { 
             chunksProcessed: vectorProgress.processed || 0,
             totalChunks: vectorProgress.total || chunks.length,
             currentChunk: vectorProgress.current || 0
           });
         });
-        metadata.vectorized = true;
+        if (!added) {
+          throw new Error('Could not write chunks to the vector database');
+        }
+        
+        // Chunks whose embedding failed are stored without one; the background repair retries them
+        this.applyVectorStats(metadata, await this.vectorService.getDocumentVectorStats(documentId));
         metadata.processingSteps.push({ step: 'vectorization_completed', timestamp: new Date().toISOString() });
         console.log(`✅ Added ${chunks.length} chunks to vector database`);
+        if (metadata.missingEmbeddings > 0) {
+          console.warn(`⚠️ ${metadata.missingEmbeddings} chunks were stored without embeddings, scheduling repair`);
+          this.scheduleEmbeddingHeal();
+        }
       } catch (vectorError) {
         console.warn('⚠️ Could not add to vector database:', vectorError.message);
         metadata.vectorized = false;
@@ -340,16 +642,6 @@ class DocumentService {
         processingTime: Date.now() - startTime
       });
 
-      // Clean up temporary file if created
-      if (tempFilePath && fs.existsSync(tempFilePath)) {
-        try {
-          fs.unlinkSync(tempFilePath);
-          console.log(`🧹 Cleaned up temporary file: ${path.basename(tempFilePath)}`);
-        } catch (cleanupError) {
-          console.warn(`⚠️ Could not clean up temp file: ${cleanupError.message}`);
-        }
-      }
-
       return {
         success: true,
         document: metadata,
@@ -360,118 +652,298 @@ class DocumentService {
         language: metadata.detectedLanguage
       };
 
-    } catch (error) {
-      console.error(`\n❌ Error processing document ${fileName}:`, error.message);
-      console.error(`📄 Document ID: ${documentId}`);
-      console.error(`🔍 Error details:`, error);
-      
-      // Try to save error metadata if possible
-      try {
-        const errorMetadata = {
-          id: documentId,
-          originalName: fileName,
-          fileSize: fs.existsSync(filePath) ? fs.statSync(filePath).size : 0,
-          uploadedAt: new Date().toISOString(),
-          fileType: path.extname(fileName).toLowerCase(),
-          status: 'error',
-          error: error.message,
-          errorTimestamp: new Date().toISOString(),
-          processingSteps: metadata?.processingSteps || []
-        };
-        
-        // Add final error step
-        errorMetadata.processingSteps.push({
-          step: 'processing_failed',
-          timestamp: new Date().toISOString(),
-          error: error.message
-        });
-        
-        this.saveDocumentMetadata(documentId, errorMetadata);
-        console.log(`💾 Error metadata saved for debugging`);
-      } catch (metadataError) {
-        console.error(`⚠️ Could not save error metadata:`, metadataError.message);
-      }
-
+    } finally {
       // Clean up temporary file if created (even on error)
       if (tempFilePath && fs.existsSync(tempFilePath)) {
         try {
           fs.unlinkSync(tempFilePath);
-          console.log(`🧹 Cleaned up temporary file after error: ${path.basename(tempFilePath)}`);
+          console.log(`🧹 Cleaned up temporary file: ${path.basename(tempFilePath)}`);
         } catch (cleanupError) {
-          console.warn(`⚠️ Could not clean up temp file after error: ${cleanupError.message}`);
+          console.warn(`⚠️ Could not clean up temp file: ${cleanupError.message}`);
         }
       }
-      
-      return {
-        success: false,
-        error: error.message,
-        documentId: documentId,
-        fileName: fileName
-      };
     }
   }
 
+  throwIfCancelled(signal) {
+    if (signal && signal.aborted) {
+      const error = new Error('Processing cancelled');
+      error.cancelled = true;
+      throw error;
+    }
+  }
+
+  // Copy the uploaded file into the documents folder under an ASCII-safe name
+  storeOriginalFile(filePath, documentId, fileExt) {
+    const storedFilePath = path.join(this.documentsPath, `${documentId}_original${fileExt}`);
+    fs.copyFileSync(filePath, storedFilePath);
+    console.log(`💾 Stored original file: ${path.basename(storedFilePath)}`);
+    return storedFilePath;
+  }
+
+  getOriginalFilePath(document) {
+    if (!document || !document.originalFile) return null;
+    const originalPath = path.join(this.documentsPath, document.originalFile);
+    return fs.existsSync(originalPath) ? originalPath : null;
+  }
+
+  // 🔁 DUPLICATE DETECTION
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+  }
+
+  // Hash of the text with formatting noise removed, so re-saved copies still match
+  hashText(text) {
+    const normalized = text
+      .normalize('NFKC')
+      .replace(/[\u200B-\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .toLowerCase();
+    return this.hashContent(normalized);
+  }
+
+  // Find a processed document with the same file bytes or the same normalized text.
+  // Documents stored before hashing existed get their hashes filled in on first check.
+  findDuplicateDocument({ fileHash = null, textHash = null }, excludeId = null) {
+    for (const document of this.getAllDocuments()) {
+      if (document.id === excludeId || document.status === 'error') continue;
+
+      const hashes = this.ensureContentHashes(document);
+      if (fileHash && hashes.fileHash === fileHash) {
+        return { document, matchType: 'file' };
+      }
+      if (textHash && hashes.textHash === textHash) {
+        return { document, matchType: 'text' };
+      }
+    }
+    return null;
+  }
+
+  ensureContentHashes(document) {
+    if (document.fileHash && document.textHash) {
+      return document;
+    }
+
+    const updates = {};
+    const originalPath = this.getOriginalFilePath(document);
+    if (!document.fileHash && originalPath) {
+      updates.fileHash = this.hashContent(fs.readFileSync(originalPath));
+    }
+    if (!document.textHash) {
+      const text = this.getDocumentText(document.id);
+      if (text) updates.textHash = this.hashText(text);
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return document;
+    }
+
+    const updated = { ...document, ...updates };
+    this.saveDocumentMetadata(document.id, updated);
+    return updated;
+  }
+
+  async handleDuplicate(match, filePath, fileName, progressCallback, duplicateAction, signal = null) {
+    const existing = match.document;
+    console.log(`🔁 ${fileName} duplicates "${existing.originalName}" (${match.matchType} match)`);
+
+    if (duplicateAction === 'replace') {
+      return await this.replaceDocument(existing.id, filePath, fileName, progressCallback, signal);
+    }
+
+    return {
+      success: false,
+      duplicate: true,
+      skipped: duplicateAction === 'skip',
+      matchType: match.matchType,
+      fileName: fileName,
+      message: `"${fileName}" is already in the library as "${existing.originalName}"`,
+      existingDocument: {
+        id: existing.id,
+        originalName: existing.originalName,
+        folderId: existing.folderId,
+        folderName: existing.folderName,
+        uploadedAt: existing.uploadedAt,
+        version: existing.version || 1
+      },
+      actions: ['skip', 'replace', 'new_version']
+    };
+  }
+
+  // Link a new upload to the document it duplicates as the next version
+  applyVersionInfo(metadata, existing) {
+    const rootId = existing.versionOf || existing.id;
+    const versions = this.getAllDocuments()
+      .filter(doc => doc.id === rootId || doc.versionOf === rootId)
+      .map(doc => doc.version || 1);
+
+    metadata.versionOf = rootId;
+    metadata.version = Math.max(1, ...versions) + 1;
+  }
+
+  // Per-page hybrid extraction: keep the embedded text layer where it is usable
+  // and OCR only the pages that have no (or garbled) text
   async extractTextFromPDF(buffer, filePath, fileName, progressCallback = null) {
     try {
-      // First, try standard PDF text extraction
-      const data = await pdfParse(buffer);
-      const extractedText = data.text.trim();
+      // First, read the embedded text layer page by page
+      const pageTexts = [];
+      const data = await pdfParse(buffer, {
+        pagerender: (pageData) => this.renderPDFPageText(pageData).then(text => {
+          pageTexts[pageData.pageIndex] = text;
+          return text;
+        })
+      });
       
-      console.log(`📄 PDF pages: ${data.numpages}, Text length: ${extractedText.length}`);
+      const totalPages = data.numpages;
+      const pages = [];
+      for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+        const text = (pageTexts[pageNum - 1] || '').trim();
+        pages.push({ pageNum, text, needsOCR: this.pageNeedsOCR(text) });
+      }
       
-      // Smart OCR detection: Check if this is likely a scanned PDF
-      const avgCharsPerPage = extractedText.length / data.numpages;
-      const hasMinimalText = avgCharsPerPage < 150; // Increased threshold for Hebrew/Arabic
-      const isLikelyScanned = hasMinimalText || this.containsGarbledText(extractedText);
+      const ocrPageNumbers = pages.filter(page => page.needsOCR).map(page => page.pageNum);
+      console.log(`📄 PDF pages: ${totalPages}, pages needing OCR: ${ocrPageNumbers.length}`);
       
-      console.log(`📊 PDF Analysis: ${avgCharsPerPage.toFixed(1)} chars/page, scanned: ${isLikelyScanned}`);
+      let ocrResult = null;
+      let ocrError = null;
       
-      if (isLikelyScanned) {
-        console.log(`🔍 Detected scanned PDF. Attempting Google Vision OCR...`);
+      if (ocrPageNumbers.length > 0) {
+        console.log(`🔍 OCR needed for page(s) ${ocrPageNumbers.join(', ')}. Attempting OCR...`);
         
         try {
-          // Use Google Vision OCR for scanned PDFs
-          const ocrResult = await this.ocrService.extractFromPDF(filePath, progressCallback);
+          ocrResult = await this.ocrService.extractFromPDF(filePath, progressCallback, { pages: ocrPageNumbers });
+        } catch (error) {
+          console.error('❌ PDF OCR failed:', error.message);
+          ocrError = error;
+        }
+      }
+      
+      // Index OCR output by page number
+      const ocrPages = {};
+      (ocrResult?.pageResults || []).forEach(pr => {
+        ocrPages[pr.pageNum] = pr;
+      });
+      
+      // Merge pages in order, recording which method produced each one
+      const parts = [];
+      const pageResults = [];
+      let offset = 0;
+      
+      for (const page of pages) {
+        let text = page.text;
+        const pageResult = { pageNum: page.pageNum, method: 'text' };
+        
+        if (page.needsOCR) {
+          const ocrPage = ocrPages[page.pageNum];
+          const ocrText = ocrPage?.result?.success ? ocrPage.result.text.trim() : '';
           
-          if (ocrResult && ocrResult.success && ocrResult.text && ocrResult.text.trim().length > 0) {
-            console.log(`✅ PDF OCR successful: ${ocrResult.text.length} characters extracted`);
-            console.log(`📊 OCR confidence: ${ocrResult.confidence.toFixed(1)}%, language: ${ocrResult.language}`);
-            
-            // Always prefer OCR results for scanned PDFs, even if shorter than original
-            // (original might contain garbled extraction artifacts)
-            return ocrResult; // Return the full OCR result object
+          if (ocrText.length > 0) {
+            text = ocrText;
+            pageResult.method = 'ocr';
+            pageResult.engine = ocrPage.result.engine;
+            pageResult.confidence = ocrPage.result.confidence;
           } else {
-            console.warn('⚠️ PDF OCR returned no text, checking if original extraction has content');
-            
-            // If OCR failed but we have some original text, use it with a warning
-            if (extractedText.length > 10) {
-              console.log('📄 Using standard extraction with OCR failure notice');
-              return extractedText + '\n\n[NOTE: This appears to be a scanned PDF. OCR processing failed but some text was extracted. Quality may be limited.]';
-            } else {
-              throw new Error('Both standard extraction and OCR failed to extract meaningful text');
+            // Keep whatever the text layer had for this page
+            pageResult.method = text.length > 0 ? 'text_fallback' : 'empty';
+            const reason = ocrPage?.error || (ocrPage?.skipped ? 'blank page' : null) || ocrError?.message;
+            if (reason) {
+              pageResult.error = reason;
             }
           }
-        } catch (ocrError) {
-          console.error('❌ PDF OCR failed:', ocrError.message);
-          
-          // If we have some standard text, use it; otherwise, fail
-          if (extractedText.length > 10) {
-            return extractedText + '\n\n[NOTE: This appears to be a scanned PDF. OCR processing failed. For better text extraction, try converting to high-quality images (PNG/JPG) and re-upload.]';
-          } else {
-            throw new Error(`PDF OCR failed and no standard text available: ${ocrError.message}`);
+        }
+        
+        if (text.length > 0) {
+          if (parts.length > 0) {
+            offset += 2; // '\n\n' page joiner
           }
+          pageResult.startOffset = offset;
+          offset += text.length;
+          pageResult.endOffset = offset;
+          parts.push(text);
         }
+        
+        pageResult.textLength = text.length;
+        pageResults.push(pageResult);
       }
       
-      // Document has good standard text extraction
-      console.log('✅ Using standard PDF text extraction');
-      return extractedText;
+      const mergedText = parts.join('\n\n');
+      const ocrPageCount = pageResults.filter(pr => pr.method === 'ocr').length;
+      const textPageCount = pageResults.filter(pr => pr.method === 'text').length;
+      
+      if (mergedText.trim().length === 0) {
+        throw new Error(ocrError
+          ? `PDF OCR failed and no standard text available: ${ocrError.message}`
+          : 'Both standard extraction and OCR failed to extract meaningful text');
+      }
+      
+      console.log(`📊 PDF merge: ${textPageCount} text page(s), ${ocrPageCount} OCR page(s), ${mergedText.length} characters`);
+      
+      return {
+        text: mergedText,
+        totalPages: totalPages,
+        pageResults: pageResults,
+        ocrPages: ocrPageCount,
+        textPages: textPageCount,
+        isScannedPDF: ocrPageCount > 0 && textPageCount === 0,
+        isHybridPDF: ocrPageCount > 0 && textPageCount > 0,
+        language: this.ocrService.detectLanguage(mergedText),
+        wordCount: mergedText.split(/\s+/).filter(w => w.length > 0).length,
+        ocrUsed: ocrPageCount > 0,
+        ocrEngine: ocrPageCount > 0 ? ocrResult.engine : null,
+        ocrConfidence: ocrPageCount > 0 ? ocrResult.confidence : null,
+        ocrError: ocrError ? ocrError.message : null,
+        processingTime: ocrResult?.processingTime || 0,
+        conversionTime: ocrResult?.conversionTime || 0,
+        ocrTime: ocrResult?.ocrTime || 0
+      };
       
     } catch (error) {
       throw new Error(`PDF extraction failed: ${error.message}`);
     }
   }
 
+  // Same line-joining rules as pdf-parse's default page renderer
+  renderPDFPageText(pageData) {
+    return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+      .then(textContent => {
+        let lastY, text = '';
+        for (const item of textContent.items) {
+          if (lastY == item.transform[5] || !lastY) {
+            text += item.str;
+          } else {
+            text += '\n' + item.str;
+          }
+          lastY = item.transform[5];
+        }
+        return text;
+      });
+  }
+
+  // A page needs OCR when its text layer is empty or garbled. Short pages (signatures,
+  // schedules, section titles) keep a clean text layer; a scan that only carries a page
+  // number or a few stray glyphs counts as empty.
+  pageNeedsOCR(pageText) {
+    const letters = (pageText.match(/\p{L}/gu) || []).length;
+    return letters < PDF_TEXT_LAYER_MIN_LETTERS || this.isGarbledTextLayer(pageText);
+  }
+
+  // Mostly replacement characters or symbols rather than text, or other extraction artifacts
+  isGarbledTextLayer(pageText) {
+    // Fill-in lines and dot leaders (signature blocks, tables of contents) are not artifacts
+    const cleaned = pageText.replace(/[_.\-\u2013\u2014]{3,}/g, ' ');
+    const visible = cleaned.replace(/\s/g, '');
+    if (visible.length === 0) return false;
+
+    // Digits count with letters so figure-heavy pages (payment schedules) are not flagged
+    const alphanumeric = (visible.match(/[\p{L}\p{N}]/gu) || []).length;
+    const replacements = (visible.match(/\uFFFD/g) || []).length;
+    return replacements / visible.length > PDF_TEXT_LAYER_MAX_REPLACEMENT_SHARE ||
+      alphanumeric / visible.length < PDF_TEXT_LAYER_MIN_ALNUM_SHARE ||
+      this.containsGarbledText(cleaned);
+  }
+
   // Helper method to detect garbled text that suggests scanning artifacts
   containsGarbledText(text) {
     if (!text || text.length < 20) return false;
@@ -518,40 +990,79 @@ class DocumentService {
   }
 
   contractAwareChunking(text, options = {}) {
-    const { chunkSize = 512, overlap = 50, documentType = 'general' } = options;
-    const chunks = [];
+    const { chunkSize = 512, overlap = 50, documentType = 'general', pages = null } = options;
     
-    if (documentType === 'legal_contract') {
-      return this.legalContractChunking(text, chunkSize, overlap);
-    } else {
-      return this.semanticChunking(text, chunkSize, overlap);
-    }
+    const chunks = documentType === 'legal_contract'
+      ? this.legalContractChunking(text, chunkSize, overlap)
+      : this.semanticChunking(text, chunkSize, overlap);
+    
+    return this.assignChunkPages(chunks, pages || this.buildPageMap(text));
+  }
+
+  // Page ranges as character offsets into the extracted text.
+  // Documents without page information are treated as a single page.
+  buildPageMap(text, pageResults = null) {
+    const pages = (pageResults || [])
+      .filter(page => typeof page.startOffset === 'number')
+      .map(page => ({ pageNum: page.pageNum, startOffset: page.startOffset, endOffset: page.endOffset }));
+    
+    return pages.length > 0 ? pages : [{ pageNum: 1, startOffset: 0, endOffset: text.length }];
+  }
+
+  // Tag each chunk with the page(s) its character range falls on
+  assignChunkPages(chunks, pageMap) {
+    const pageAt = (offset) => {
+      let pageNum = pageMap[0].pageNum;
+      for (const page of pageMap) {
+        if (page.startOffset <= offset) {
+          pageNum = page.pageNum;
+        } else {
+          break;
+        }
+      }
+      return pageNum;
+    };
+    
+    return chunks.map(chunk => ({
+      ...chunk,
+      pageNumber: pageAt(chunk.startOffset),
+      pageEnd: pageAt(Math.max(chunk.startOffset, chunk.endOffset - 1))
+    }));
   }
 
   legalContractChunking(text, chunkSize, overlap) {
     const chunks = [];
     
-    // Split by common legal document structure
+    // Split by common legal document structure. The split is zero-width, so
+    // the sections concatenate back to the original text and offsets carry over.
     const sections = text.split(/(?=\b(?:WHEREAS|THEREFORE|NOW THEREFORE|ARTICLE|SECTION|\d+\.)\b)/i);
     
     let chunkId = 0;
+    let cursor = 0;
     
-    for (let section of sections) {
-      section = section.trim();
+    for (const rawSection of sections) {
+      const sectionOffset = cursor;
+      cursor += rawSection.length;
+      
+      const section = rawSection.trim();
       if (section.length === 0) continue;
       
+      const startOffset = sectionOffset + (rawSection.length - rawSection.trimStart().length);
+      
       if (section.length <= chunkSize) {
         // Small section - use as single chunk
         chunks.push({
           id: chunkId++,
           text: section,
           length: section.length,
+          startOffset: startOffset,
+          endOffset: startOffset + section.length,
           type: 'legal_section',
           metadata: this.extractLegalMetadata(section)
         });
       } else {
         // Large section - split further
-        const subChunks = this.semanticChunking(section, chunkSize, overlap);
+        const subChunks = this.semanticChunking(rawSection, chunkSize, overlap, sectionOffset);
         subChunks.forEach(chunk => {
           chunks.push({
             ...chunk,
@@ -596,87 +1107,96 @@ class DocumentService {
     return metadata;
   }
 
-  semanticChunking(text, chunkSize, overlap) {
+  // Chunks are verbatim slices of the source text; startOffset/endOffset are
+  // character positions in it (shifted by baseOffset when chunking a section)
+  semanticChunking(text, chunkSize, overlap, baseOffset = 0) {
     const chunks = [];
+    const leadingSpace = text.length - text.trimStart().length;
+    const wholeTextChunk = (type) => ({
+      id: 0,
+      text: text.trim(),
+      length: text.trim().length,
+      sentenceStart: 0,
+      sentenceEnd: 0,
+      startOffset: baseOffset + leadingSpace,
+      endOffset: baseOffset + leadingSpace + text.trim().length,
+      type
+    });
     
     // Handle very short text (less than minimum chunk size)
     if (text.trim().length < 50) {
       if (text.trim().length > 0) {
-        chunks.push({
-          id: 0,
-          text: text.trim(),
-          length: text.trim().length,
-          sentenceStart: 0,
-          sentenceEnd: 0,
-          type: 'short_text'
-        });
+        chunks.push(wholeTextChunk('short_text'));
       }
       return chunks;
     }
     
     // Split by sentences with comprehensive Hebrew, Arabic, and English punctuation support
-    const sentences = text.split(/[.!?؟։។׃״׳]/).filter(s => s.trim().length > 0);
-    let currentChunk = '';
+    const sentences = this.findSentenceSpans(text);
     let chunkId = 0;
     
     console.log(`📝 Chunking: ${sentences.length} sentences found`);
 
-    // If no sentences detected, create chunks by word count or character limit
-    if (sentences.length === 0 || (sentences.length === 1 && sentences[0].trim().length === 0)) {
-      const words = text.split(/\s+/).filter(w => w.trim().length > 0);
-      if (words.length > 0) {
-        chunks.push({
-          id: 0,
-          text: text.trim(),
-          length: text.trim().length,
-          sentenceStart: 0,
-          sentenceEnd: 0,
-          type: 'no_sentences_detected'
-        });
-      }
+    // If no sentences detected, keep the text as a single chunk
+    if (sentences.length === 0) {
+      chunks.push(wholeTextChunk('no_sentences_detected'));
       return chunks;
     }
 
-    for (let i = 0; i < sentences.length; i++) {
-      const sentence = sentences[i].trim() + '.';
+    const pushChunk = (from, to) => {
+      const start = sentences[from].start;
+      const end = sentences[to].end;
+      const chunkText = text.slice(start, end);
       
-      // If adding this sentence would exceed chunk size
-      if (currentChunk.length + sentence.length > chunkSize && currentChunk.length > 0) {
-        // Save current chunk
-        chunks.push({
-          id: chunkId++,
-          text: currentChunk.trim(),
-          length: currentChunk.length,
-          sentenceStart: Math.max(0, i - Math.floor(currentChunk.split('.').length / 2)),
-          sentenceEnd: i - 1,
-          type: 'semantic'
-        });
+      chunks.push({
+        id: chunkId++,
+        text: chunkText,
+        length: chunkText.length,
+        sentenceStart: from,
+        sentenceEnd: to,
+        startOffset: baseOffset + start,
+        endOffset: baseOffset + end,
+        type: 'semantic'
+      });
+    };
+
+    const overlapSentences = Math.floor(overlap / 50);
+    let chunkFrom = 0;
 
+    for (let i = 1; i < sentences.length; i++) {
+      // If adding this sentence would exceed chunk size, close the current chunk
+      if (sentences[i].end - sentences[chunkFrom].start > chunkSize) {
+        pushChunk(chunkFrom, i - 1);
+        
         // Start new chunk with overlap
-        const overlapSentences = Math.floor(overlap / 50);
-        const startIndex = Math.max(0, i - overlapSentences);
-        currentChunk = sentences.slice(startIndex, i + 1).join('. ') + '.';
-      } else {
-        // Add sentence to current chunk
-        currentChunk += (currentChunk.length > 0 ? ' ' : '') + sentence;
+        chunkFrom = Math.max(chunkFrom + 1, i - overlapSentences);
       }
     }
 
     // Don't forget the last chunk
-    if (currentChunk.trim().length > 0) {
-      chunks.push({
-        id: chunkId++,
-        text: currentChunk.trim(),
-        length: currentChunk.length,
-        sentenceStart: Math.max(0, sentences.length - Math.floor(currentChunk.split('.').length)),
-        sentenceEnd: sentences.length - 1,
-        type: 'semantic'
-      });
-    }
+    pushChunk(chunkFrom, sentences.length - 1);
 
     return chunks;
   }
 
+  // Sentence boundaries as [start, end) offsets, terminator included
+  findSentenceSpans(text) {
+    const spans = [];
+    const sentencePattern = /[^.!?؟։។׃״׳]+[.!?؟։។׃״׳]*/g;
+    let match;
+    
+    while ((match = sentencePattern.exec(text)) !== null) {
+      const raw = match[0];
+      const content = raw.trim();
+      if (content.replace(/[.!?؟։។׃״׳]/g, '').trim().length === 0) continue;
+      
+      const start = match.index + (raw.length - raw.trimStart().length);
+      spans.push({ start, end: start + content.length });
+    }
+    
+    return spans;
+  }
+
   saveDocumentMetadata(documentId, metadata) {
     const documents = this.store.get('documents', []);
     const existingIndex = documents.findIndex(doc => doc.id === documentId);
@@ -736,6 +1256,13 @@ class DocumentService {
         fs.unlinkSync(chunksFilePath);
         console.log(`✅ Removed chunks file: ${documentId}_chunks.json`);
       }
+      // Match stored originals by name so files of half-processed uploads go too
+      fs.readdirSync(this.documentsPath)
+        .filter(file => file.startsWith(`${documentId}_original`))
+        .forEach(file => {
+          fs.unlinkSync(path.join(this.documentsPath, file));
+          console.log(`✅ Removed original file: ${file}`);
+        });
 
       // Remove from vector database
       try {
@@ -759,142 +1286,195 @@ class DocumentService {
   }
 
   // Enhanced search functionality for Phase 2
-  async searchDocuments(query, searchType = 'hybrid') {
+  // scope: { documentId, folderId, documentIds } - applied before ranking, so the
+  // top results are the best chunks inside the scope rather than a filtered global top-k.
+  // queryEmbedding reuses an embedding of the query made earlier instead of requesting one.
+  async searchDocuments(query, searchType = 'hybrid', scope = {}, queryEmbedding = undefined) {
+    const options = { documentIds: this.resolveSearchScope(scope), queryEmbedding };
+
     try {
       if (searchType === 'semantic') {
-        return await this.semanticSearch(query);
+        return await this.semanticSearch(query, options);
       } else if (searchType === 'keyword') {
-        return this.keywordSearch(query);
+        return this.keywordSearch(query, options);
       } else {
-        return await this.hybridSearch(query);
+        return await this.hybridSearch(query, options);
       }
     } catch (error) {
       console.error('❌ Error in searchDocuments:', error);
       // Fallback to keyword search
-      return this.keywordSearch(query);
+      return this.keywordSearch(query, options);
     }
   }
 
-  keywordSearch(query) {
-    const documents = this.getAllDocuments();
-    const results = [];
+  // Search a hand-picked set of documents with an even share for each: every document
+  // is ranked on its own, then keeps up to chunkBudget / documents chunks (1 to 3).
+  // The query is embedded once and shared by all per-document searches.
+  async searchDocumentSet(query, documentIds, searchType = 'hybrid', chunkBudget = 15) {
+    const ids = [...new Set(documentIds)];
+    if (ids.length === 0) return [];
 
-    documents.forEach(doc => {
-      if (doc.status !== 'ready') return;
+    let queryEmbedding;
+    if (searchType !== 'keyword') {
+      try {
+        queryEmbedding = await this.vectorService.generateEmbedding(query);
+      } catch (error) {
+        console.warn('⚠️ Balanced search without vectors:', error.message);
+        queryEmbedding = null;
+        if (searchType === 'semantic') searchType = 'keyword';
+      }
+    }
 
-      const chunks = this.getDocumentChunks(doc.id);
-      const matchingChunks = chunks.filter(chunk => 
-        chunk.text.toLowerCase().includes(query.toLowerCase())
-      );
+    const chunksPerDocument = Math.min(3, Math.max(1, Math.floor(chunkBudget / ids.length)));
+    const perDocument = await Promise.all(ids.map(documentId =>
+      this.searchDocuments(query, searchType, { documentId }, queryEmbedding)
+    ));
 
-      if (matchingChunks.length > 0) {
-        results.push({
-          document: doc,
-          matches: matchingChunks.length,
-          chunks: matchingChunks.slice(0, 3),
-          searchType: 'keyword'
-        });
-      }
-    });
+    const results = perDocument
+      .map(documentResults => documentResults[0])
+      .filter(Boolean)
+      .map(result => ({ ...result, chunks: result.chunks.slice(0, chunksPerDocument) }));
 
-    return results.sort((a, b) => b.matches - a.matches);
+    console.log(`🎯 Balanced search "${query}" over ${ids.length} documents: ${results.length} with matches, up to ${chunksPerDocument} chunks each`);
+    return results;
   }
 
-  async semanticSearch(query) {
-    try {
-      const vectorResults = await this.vectorService.semanticSearch(query, 10);
-      const documents = this.getAllDocuments();
-      const results = [];
-
-      // Group results by document
-      const docGroups = {};
-      vectorResults.forEach(result => {
-        if (!docGroups[result.document_id]) {
-          docGroups[result.document_id] = {
-            chunks: [],
-            totalSimilarity: 0
-          };
-        }
-        docGroups[result.document_id].chunks.push({
-          text: result.text,
-          similarity: result.similarity,
-          metadata: result.metadata
-        });
-        docGroups[result.document_id].totalSimilarity += result.similarity;
-      });
+  // Document IDs a search is limited to, or null for the whole library.
+  // A single document wins over a folder, which wins over an ID set.
+  resolveSearchScope({ documentId = null, folderId = null, documentIds = null } = {}) {
+    if (documentId) {
+      return [documentId];
+    }
+    if (folderId) {
+      const defaultFolderId = this.folderService.getDefaultFolderId();
+      return this.getAllDocuments()
+        .filter(doc => (doc.folderId || defaultFolderId) === folderId)
+        .map(doc => doc.id);
+    }
+    if (Array.isArray(documentIds)) {
+      return documentIds;
+    }
+    return null;
+  }
 
-      // Format results
-      Object.entries(docGroups).forEach(([docId, group]) => {
-        const document = documents.find(doc => doc.id === docId);
-        if (document) {
-          results.push({
-            document,
-            matches: group.chunks.length,
-            chunks: group.chunks.slice(0, 3),
-            avgSimilarity: group.totalSimilarity / group.chunks.length,
-            searchType: 'semantic'
-          });
-        }
-      });
+  // BM25 keyword ranking over all chunks (no API key needed)
+  async keywordSearch(query, options = {}) {
+    const chunkResults = await this.vectorService.keywordSearch(query, 30, options);
+    return this.groupChunkResults(chunkResults, 'keyword', chunk => chunk.keywordScore);
+  }
 
-      return results.sort((a, b) => b.avgSimilarity - a.avgSimilarity);
+  async semanticSearch(query, options = {}) {
+    try {
+      const vectorResults = await this.vectorService.semanticSearch(query, 10, options);
+      return this.groupChunkResults(vectorResults, 'semantic', chunk => chunk.similarity);
     } catch (error) {
       console.error('❌ Semantic search failed:', error);
-      return this.keywordSearch(query);
+      return this.keywordSearch(query, options);
     }
   }
 
-  async hybridSearch(query) {
+  // Vector and BM25 rankings fused per chunk (see VectorService.hybridSearch)
+  async hybridSearch(query, options = {}) {
     try {
-      // Get both semantic and keyword results
-      const [semanticResults, keywordResults] = await Promise.all([
-        this.semanticSearch(query),
-        this.keywordSearch(query)
-      ]);
-
-      // Combine and deduplicate results
-      const combinedResults = new Map();
-
-      // Add semantic results with higher weight
-      semanticResults.forEach(result => {
-        combinedResults.set(result.document.id, {
-          ...result,
-          score: (result.avgSimilarity || 0) * 0.7,
-          searchType: 'hybrid'
-        });
-      });
-
-      // Add keyword results with lower weight, merge if exists
-      keywordResults.forEach(result => {
-        const existing = combinedResults.get(result.document.id);
-        if (existing) {
-          existing.score += (result.matches / 10) * 0.3;
-          existing.chunks = [...existing.chunks, ...result.chunks].slice(0, 3);
-        } else {
-          combinedResults.set(result.document.id, {
-            ...result,
-            score: (result.matches / 10) * 0.3,
-            searchType: 'hybrid'
-          });
-        }
-      });
-
-      return Array.from(combinedResults.values()).sort((a, b) => b.score - a.score);
+      const { results, type } = await this.vectorService.hybridSearch(query, 30, options);
+      // VectorService reports a failed fusion as type 'error' rather than throwing
+      if (type === 'error') {
+        return this.keywordSearch(query, options);
+      }
+      return this.groupChunkResults(results, type === 'keyword' ? 'keyword' : 'hybrid', chunk => chunk.fusedScore);
     } catch (error) {
       console.error('❌ Hybrid search failed:', error);
-      return this.keywordSearch(query);
+      return this.keywordSearch(query, options);
     }
   }
 
+  // Group ranked chunk results by document. Chunks keep their ranking order; documents
+  // are ordered by their best chunk, so ranking stays chunk-level.
+  groupChunkResults(chunkResults, searchType, getScore) {
+    const documents = new Map(this.getAllDocuments().map(doc => [doc.id, doc]));
+    const groups = new Map();
+
+    chunkResults.forEach(result => {
+      const document = documents.get(result.document_id);
+      if (!document) return;
+
+      if (!groups.has(document.id)) {
+        groups.set(document.id, { document, chunks: [], score: getScore(result) || 0 });
+      }
+      groups.get(document.id).chunks.push({
+        id: result.chunk_id,
+        text: result.text,
+        similarity: result.similarity,
+        keywordScore: result.keywordScore,
+        fusedScore: result.fusedScore,
+        pageNumber: result.metadata.page_number,
+        pageEnd: result.metadata.page_end,
+        startOffset: result.metadata.start_offset,
+        endOffset: result.metadata.end_offset,
+        metadata: result.metadata
+      });
+    });
+
+    return Array.from(groups.values()).map(group => {
+      const similarities = group.chunks.map(chunk => chunk.similarity).filter(value => typeof value === 'number');
+      return {
+        document: group.document,
+        matches: group.chunks.length,
+        chunks: group.chunks.slice(0, 3),
+        avgSimilarity: similarities.length > 0
+          ? similarities.reduce((sum, value) => sum + value, 0) / similarities.length
+          : undefined,
+        score: group.score,
+        searchType
+      };
+    }).sort((a, b) => b.score - a.score);
+  }
+
   // API key management methods
   async setOpenAIApiKey(apiKey) {
-    return await this.vectorService.setupOpenAI(apiKey);
+    const valid = await this.vectorService.setupOpenAI(apiKey);
+    if (valid) {
+      // Chunks stored while no key was configured can be embedded now
+      this.embeddingHealFailures = 0;
+      clearTimeout(this.embeddingHealTimer);
+      this.embeddingHealTimer = null;
+      this.scheduleEmbeddingHeal(0);
+    }
+    return valid;
   }
 
   getStoredApiKey() {
     return this.vectorService.getStoredApiKey();
   }
 
+  getModelSettings() {
+    return this.vectorService.getModelSettings();
+  }
+
+  // A new embedding model invalidates every stored vector; the chunks are re-embedded
+  // by the background repair, and keyword search keeps working meanwhile
+  async updateModelSettings(updates = {}) {
+    const switchingEmbeddings = 'embeddingModel' in updates &&
+      String(updates.embeddingModel || '').trim() !== this.vectorService.getModelSettings().embeddingModel;
+    if (switchingEmbeddings && this.embeddingHealInProgress) {
+      throw new Error('Embedding repair is running - change the embedding model once it has finished');
+    }
+
+    const { settings, embeddingModelChanged } = await this.vectorService.updateModelSettings(updates);
+
+    if (embeddingModelChanged) {
+      for (const document of this.getAllDocuments()) {
+        await this.refreshVectorStatus(document.id);
+      }
+      this.embeddingHealFailures = 0;
+      clearTimeout(this.embeddingHealTimer);
+      this.embeddingHealTimer = null;
+      this.scheduleEmbeddingHeal(0);
+    }
+
+    return settings;
+  }
+
   clearApiKey() {
     this.vectorService.clearApiKey();
   }
@@ -920,13 +1500,21 @@ class DocumentService {
     this.ocrService.clearServiceAccount();
   }
 
+  getOCRSettings() {
+    return this.ocrService.getSettings();
+  }
+
+  updateOCRSettings(settings) {
+    return this.ocrService.updateSettings(settings);
+  }
+
   // Test OCR connection with a simple API call
   async testOCRConnection() {
     try {
       if (!this.ocrService.isReady()) {
         return {
           success: false,
-          message: 'OCR service not initialized. Please configure Google Vision API first.'
+          message: 'OCR service not initialized. Please configure Google Vision API or enable the local Tesseract engine.'
         };
       }
 
@@ -1114,14 +1702,7 @@ class DocumentService {
   // Search documents within specific folder
   async searchDocumentsInFolder(query, folderId, searchType = 'hybrid') {
     try {
-      // Get all search results first
-      const allResults = await this.searchDocuments(query, searchType);
-      
-      // Filter by folder
-      const folderResults = allResults.filter(result => {
-        const docFolderId = result.document.folderId || this.folderService.getDefaultFolderId();
-        return docFolderId === folderId;
-      });
+      const folderResults = await this.searchDocuments(query, searchType, { folderId });
 
       console.log(`🔍 Folder search "${query}" in folder ${folderId}: ${folderResults.length} results`);
       return folderResults;
@@ -1135,40 +1716,10 @@ class DocumentService {
   async searchInDocument(query, documentId, searchType = 'hybrid') {
     try {
       console.log(`🎯 Document-focused search: "${query}" in document ${documentId}`);
-      
-      // Get all search results first
-      const allResults = await this.searchDocuments(query, searchType);
-      
-      // Debug: Log result structure to understand the issue
-      if (allResults.length > 0) {
-        console.log(`🔍 Debug - First result structure:`, {
-          hasDocument: !!allResults[0].document,
-          hasDocumentId: !!allResults[0].document_id,
-          hasMetadata: !!allResults[0].metadata,
-          documentId: allResults[0].document_id,
-          metadataDocId: allResults[0].metadata?.document_id,
-          documentObjectId: allResults[0].document?.id,
-          targetDocumentId: documentId
-        });
-      }
-      
-      // Filter by specific document ID - fix the structure mismatch
-      const documentResults = allResults.filter(result => {
-        return result.document_id === documentId || 
-               (result.document && result.document.id === documentId) ||
-               (result.metadata && result.metadata.document_id === documentId);
-      });
+
+      const documentResults = await this.searchDocuments(query, searchType, { documentId });
 
       console.log(`🎯 Document search "${query}" in document ${documentId}: ${documentResults.length} results`);
-      
-      // Fallback: If no document-specific results but we have general results, log this issue
-      if (documentResults.length === 0 && allResults.length > 0) {
-        console.warn(`⚠️ Document filtering failed - found ${allResults.length} general results but 0 document-specific results`);
-        console.warn(`⚠️ Temporarily returning all results to maintain functionality while debugging`);
-        // Temporary fallback to prevent complete failure
-        return allResults.slice(0, 3); // Limit to 3 results as fallback
-      }
-      
       return documentResults;
     } catch (error) {
       console.error('❌ Error searching in document:', error);
@@ -1208,6 +1759,245 @@ class DocumentService {
     }
   }
 
+  // Startup recovery for documents left half-processed by a crash or forced quit.
+  // Missing steps are finished from the saved text and chunks where possible;
+  // otherwise the document is marked failed with a reason the UI can show.
+  // Documents owned by queued/running ingestion jobs are left alone.
+  async recoverInterruptedDocuments(skipDocumentIds = []) {
+    const summary = { success: true, checked: 0, recovered: [], failed: [], orphansRemoved: 0 };
+    
+    try {
+      const skip = new Set(skipDocumentIds);
+      
+      // Runs before the first await so uploads started meanwhile cannot be mistaken for orphans
+      summary.orphansRemoved = this.removeOrphanedFiles(skip);
+      
+      const documents = this.getAllDocuments().filter(doc => !skip.has(doc.id));
+      summary.checked = documents.length;
+      
+      for (const document of documents) {
+        const outcome = await this.recoverDocument(document);
+        if (outcome.status === 'recovered') {
+          summary.recovered.push({ id: document.id, name: document.originalName, note: outcome.note });
+        } else if (outcome.status === 'failed') {
+          summary.failed.push({ id: document.id, name: document.originalName, reason: outcome.reason });
+        }
+      }
+      
+      if (summary.recovered.length > 0 || summary.failed.length > 0) {
+        console.log(`🩹 Recovery: ${summary.recovered.length} documents completed, ${summary.failed.length} marked failed`);
+      }
+      return summary;
+    } catch (error) {
+      console.error('❌ Error during document recovery:', error.message);
+      return { ...summary, success: false, error: error.message };
+    }
+  }
+
+  async recoverDocument(document) {
+    if (document.status === 'error') {
+      return { status: 'ok' };
+    }
+    
+    const textFilePath = path.join(this.documentsPath, `${document.id}.txt`);
+    const chunksFilePath = path.join(this.documentsPath, `${document.id}_chunks.json`);
+    const hasOriginal = !!this.getOriginalFilePath(document);
+    const retryHint = hasOriginal ? ' Use re-process to run it again.' : ' Please upload the file again.';
+    
+    if (!fs.existsSync(textFilePath) || !fs.existsSync(chunksFilePath)) {
+      const reason = document.status === 'processing'
+        ? 'Processing was interrupted before the extracted text was saved.'
+        : 'The extracted text or chunks file is missing.';
+      this.markRecoveryFailed(document, reason + retryHint);
+      return { status: 'failed', reason: reason + retryHint };
+    }
+    
+    let chunks;
+    try {
+      chunks = JSON.parse(fs.readFileSync(chunksFilePath, 'utf-8'));
+    } catch (error) {
+      const reason = 'The saved chunks file is unreadable.';
+      this.markRecoveryFailed(document, reason + retryHint);
+      return { status: 'failed', reason: reason + retryHint };
+    }
+    
+    const notes = [];
+    const metadata = { ...document };
+    
+    if (metadata.status !== 'ready') {
+      // Text and chunks were written, only the final metadata update was lost
+      const text = fs.readFileSync(textFilePath, 'utf-8');
+      Object.assign(metadata, {
+        status: 'ready',
+        textLength: text.length,
+        chunksCount: chunks.length,
+        documentType: metadata.documentType || this.detectDocumentType(text),
+        processingCompletedAt: new Date().toISOString()
+      });
+      notes.push('completed metadata from saved text');
+    }
+    
+    const vectorStats = await this.vectorService.getDocumentVectorStats(document.id);
+    const vectorsMissing = vectorStats.chunks < chunks.length;
+    
+    if (vectorsMissing) {
+      console.log(`🩹 Re-adding ${chunks.length} chunks to the vector database for ${document.originalName}`);
+      await this.vectorService.removeDocument(document.id);
+      const added = await this.vectorService.addDocument(document.id, chunks);
+      if (!added) {
+        const reason = 'Adding the document to the search index failed after an interrupted run.';
+        this.markRecoveryFailed(metadata, reason + retryHint);
+        return { status: 'failed', reason: reason + retryHint };
+      }
+      delete metadata.vectorizationError;
+      this.applyVectorStats(metadata, await this.vectorService.getDocumentVectorStats(document.id));
+      notes.push('rebuilt search index entries');
+    } else if (metadata.vectorized === undefined) {
+      this.applyVectorStats(metadata, vectorStats);
+      notes.push('restored vectorization status');
+    }
+    
+    if (metadata.missingEmbeddings > 0) {
+      this.scheduleEmbeddingHeal();
+    }
+    
+    if (notes.length === 0) {
+      return { status: 'ok' };
+    }
+    
+    metadata.recoveredAt = new Date().toISOString();
+    metadata.recoveryNote = `Recovered after an interrupted run: ${notes.join(', ')}`;
+    this.saveDocumentMetadata(document.id, metadata);
+    return { status: 'recovered', note: metadata.recoveryNote };
+  }
+
+  markRecoveryFailed(document, reason) {
+    console.warn(`⚠️ Could not recover ${document.originalName}: ${reason}`);
+    this.saveDocumentMetadata(document.id, {
+      ...document,
+      status: 'error',
+      error: reason,
+      errorTimestamp: new Date().toISOString(),
+      recoveryFailed: true
+    });
+  }
+
+  // Files whose document has no metadata can never be shown or searched - remove them
+  removeOrphanedFiles(skip = new Set()) {
+    const knownIds = new Set(this.getAllDocuments().map(doc => doc.id));
+    let removed = 0;
+    
+    for (const file of fs.readdirSync(this.documentsPath)) {
+      const match = file.match(/^([0-9a-f-]{36})(\.txt|_chunks\.json|_original.*)$/);
+      if (!match || knownIds.has(match[1]) || skip.has(match[1])) continue;
+      
+      fs.unlinkSync(path.join(this.documentsPath, file));
+      removed++;
+    }
+    
+    if (removed > 0) {
+      console.log(`🧹 Removed ${removed} orphaned document files`);
+    }
+    return removed;
+  }
+
+  // ---- Embedding repair ----
+  // Chunks stored without an embedding (API outage, rate limit, no key at upload time)
+  // only show up in keyword search. healEmbeddings re-embeds them and updates each
+  // affected document's `vectorized` flag; failed runs are retried in the background.
+
+  setEmbeddingHealNotifier(notify) {
+    this.notifyEmbeddingHeal = notify || (() => {});
+  }
+
+  // Re-embed missing chunks for one document, or the whole library when documentId is null
+  async healEmbeddings(documentId = null) {
+    if (this.embeddingHealInProgress) {
+      return { success: false, error: 'Embedding repair is already running' };
+    }
+    if (!this.vectorService.getStoredApiKey()) {
+      return { success: false, error: 'OpenAI API key not configured' };
+    }
+    if (documentId && !this.getDocument(documentId)) {
+      return { success: false, error: 'Document not found' };
+    }
+    
+    // A manual run replaces any pending background retry
+    clearTimeout(this.embeddingHealTimer);
+    this.embeddingHealTimer = null;
+    this.embeddingHealInProgress = true;
+    
+    try {
+      const result = await this.vectorService.healEmbeddings(documentId, {
+        progressCallback: (progress) => this.notifyEmbeddingHeal({ status: 'progress', ...progress })
+      });
+      
+      const documents = [];
+      for (const id of Object.keys(result.byDocument)) {
+        const updated = await this.refreshVectorStatus(id);
+        if (updated) documents.push(updated);
+      }
+      
+      if (result.failed > 0) {
+        this.embeddingHealFailures++;
+        this.scheduleEmbeddingHeal();
+      } else {
+        this.embeddingHealFailures = 0;
+      }
+      
+      const summary = {
+        success: true,
+        documentId,
+        total: result.total,
+        healed: result.healed,
+        failed: result.failed,
+        error: result.error,
+        documents
+      };
+      this.notifyEmbeddingHeal({ status: 'completed', ...summary });
+      return summary;
+    } catch (error) {
+      console.error('❌ Embedding repair failed:', error.message);
+      this.notifyEmbeddingHeal({ status: 'error', documentId, error: error.message });
+      return { success: false, error: error.message };
+    } finally {
+      this.embeddingHealInProgress = false;
+    }
+  }
+
+  // Queue a background repair run. Without an explicit delay the wait doubles after every failed run.
+  scheduleEmbeddingHeal(delay = null) {
+    if (this.embeddingHealTimer) return;
+    if (!this.vectorService.getStoredApiKey()) return;
+    
+    const wait = delay ?? Math.min(EMBEDDING_HEAL_BASE_DELAY * Math.pow(2, this.embeddingHealFailures), EMBEDDING_HEAL_MAX_DELAY);
+    console.log(`🩹 Embedding repair scheduled in ${Math.round(wait / 1000)}s`);
+    
+    this.embeddingHealTimer = setTimeout(() => {
+      this.embeddingHealTimer = null;
+      this.healEmbeddings();
+    }, wait);
+  }
+
+  async refreshVectorStatus(documentId) {
+    const document = this.getDocument(documentId);
+    if (!document) return null;
+    
+    const metadata = { ...document };
+    this.applyVectorStats(metadata, await this.vectorService.getDocumentVectorStats(documentId));
+    if (metadata.vectorized) {
+      delete metadata.vectorizationError;
+    }
+    this.saveDocumentMetadata(documentId, metadata);
+    return metadata;
+  }
+
+  // A document counts as vectorized only once every one of its chunks has an embedding
+  applyVectorStats(metadata, { chunks, embedded }) {
+    metadata.vectorized = chunks > 0 && embedded === chunks;
+    metadata.missingEmbeddings = chunks - embedded;
+  }
+
   // Get all folder service methods (passthrough)
   getAllFolders() {
     return this.folderService.getAllFolders();
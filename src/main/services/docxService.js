@@ -0,0 +1,496 @@
+const JSZip = require('jszip');
+const { DOMParser } = require('@xmldom/xmldom');
+
+// Hebrew letters with their gematria values, used for hebrew1 list numbering
+const HEBREW_NUMERALS = [
+  [400, 'ת'], [300, 'ש'], [200, 'ר'], [100, 'ק'],
+  [90, 'צ'], [80, 'פ'], [70, 'ע'], [60, 'ס'], [50, 'נ'], [40, 'מ'], [30, 'ל'], [20, 'כ'], [10, 'י'],
+  [9, 'ט'], [8, 'ח'], [7, 'ז'], [6, 'ו'], [5, 'ה'], [4, 'ד'], [3, 'ג'], [2, 'ב'], [1, 'א']
+];
+const HEBREW_ALPHABET = 'אבגדהוזחטיכלמנסעפצקרשת';
+const ARABIC_ALPHABET = 'أبتثجحخدذرزسشصضطظعغفقكلمنهوي';
+const ROMAN_NUMERALS = [
+  [1000, 'm'], [900, 'cm'], [500, 'd'], [400, 'cd'], [100, 'c'], [90, 'xc'],
+  [50, 'l'], [40, 'xl'], [10, 'x'], [9, 'ix'], [5, 'v'], [4, 'iv'], [1, 'i']
+];
+
+/**
+ * Word (.docx) text extraction straight from the OOXML package
+ * Keeps list numbering, tables, headers/footers and tracked changes so clause
+ * labels like "5.2(a)" reach the legal chunker intact
+ */
+class DocxService {
+  constructor() {
+    this.parser = new DOMParser({ errorHandler: { warning: () => {}, error: () => {} } });
+  }
+
+  /**
+   * Extract text from a .docx file
+   * @param {Buffer} buffer - Raw .docx file contents
+   * @returns {Object} Text plus structure details (tables, headers/footers, tracked changes)
+   */
+  async extractText(buffer) {
+    const startTime = Date.now();
+
+    let zip;
+    try {
+      zip = await JSZip.loadAsync(buffer);
+    } catch (error) {
+      throw new Error(`Not a valid Word document: ${error.message}`);
+    }
+
+    const documentXml = await this.readPart(zip, 'word/document.xml');
+    if (!documentXml) {
+      throw new Error('Word document body (word/document.xml) is missing');
+    }
+
+    const context = {
+      numbering: this.parseNumbering(await this.readPart(zip, 'word/numbering.xml')),
+      styles: this.parseStyles(await this.readPart(zip, 'word/styles.xml')),
+      counters: {},
+      startedNums: new Set(),
+      trackedChanges: [],
+      paragraphIndex: 0,
+      tableCount: 0,
+      numberedParagraphs: 0
+    };
+
+    const body = this.child(documentXml.documentElement, 'body');
+    const bodyBlocks = body ? this.renderBlocks(body, context) : [];
+
+    // Headers and footers repeat on every page - keep each distinct one once
+    const headers = await this.renderParts(zip, /^word\/header\d*\.xml$/, context);
+    const footers = await this.renderParts(zip, /^word\/footer\d*\.xml$/, context);
+
+    const sections = [];
+    if (headers.length > 0) sections.push(headers.join('\n'));
+    sections.push(bodyBlocks.join('\n'));
+    if (footers.length > 0) sections.push(footers.join('\n'));
+    if (context.trackedChanges.length > 0) sections.push(this.formatTrackedChanges(context.trackedChanges));
+
+    const text = sections.filter(section => section.trim().length > 0).join('\n\n');
+
+    return {
+      text,
+      paragraphCount: bodyBlocks.length,
+      tableCount: context.tableCount,
+      numberedParagraphs: context.numberedParagraphs,
+      headers,
+      footers,
+      trackedChanges: context.trackedChanges,
+      wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  async readPart(zip, partName) {
+    const file = zip.file(partName);
+    if (!file) return null;
+    const xml = await file.async('string');
+    return this.parser.parseFromString(xml, 'application/xml');
+  }
+
+  async renderParts(zip, pattern, context) {
+    const partNames = Object.keys(zip.files)
+      .filter(name => pattern.test(name))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
+    const texts = [];
+    for (const partName of partNames) {
+      const part = await this.readPart(zip, partName);
+      if (!part) continue;
+      const text = this.renderBlocks(part.documentElement, context).join('\n').trim();
+      if (text && !texts.includes(text)) {
+        texts.push(text);
+      }
+    }
+    return texts;
+  }
+
+  // ---- Block level: paragraphs, tables and content controls ----
+
+  renderBlocks(container, context) {
+    const blocks = [];
+
+    for (const node of this.children(container)) {
+      switch (node.localName) {
+        case 'p': {
+          const paragraph = this.renderParagraph(node, context);
+          if (paragraph) blocks.push(paragraph);
+          break;
+        }
+        case 'tbl': {
+          const table = this.renderTable(node, context);
+          if (table) blocks.push(table);
+          break;
+        }
+        case 'sdt': {
+          const content = this.child(node, 'sdtContent');
+          if (content) blocks.push(...this.renderBlocks(content, context));
+          break;
+        }
+        case 'customXml':
+        case 'ins':
+        case 'moveTo':
+          blocks.push(...this.renderBlocks(node, context));
+          break;
+        default:
+          break;
+      }
+    }
+
+    return blocks;
+  }
+
+  renderParagraph(paragraph, context) {
+    const paragraphIndex = context.paragraphIndex++;
+    const text = this.renderInline(paragraph, context, paragraphIndex).replace(/[ \t]+$/g, '').trim();
+    const label = this.getNumberingLabel(this.child(paragraph, 'pPr'), context);
+
+    if (!text) return null;
+    if (!label) return text;
+
+    context.numberedParagraphs++;
+    return `${label} ${text}`;
+  }
+
+  renderTable(table, context) {
+    context.tableCount++;
+    const rows = [];
+
+    for (const row of this.children(table, 'tr')) {
+      const deletedRow = this.child(this.child(row, 'trPr'), 'del');
+      const cells = this.children(row, 'tc')
+        .map(cell => this.renderBlocks(cell, context).join(' ').replace(/\s+/g, ' ').trim());
+
+      if (deletedRow) {
+        this.recordChange(context, 'deletion', deletedRow, cells.join(' | '), context.paragraphIndex++);
+        continue;
+      }
+
+      if (cells.some(cell => cell.length > 0)) {
+        rows.push(cells.join(' | '));
+      }
+    }
+
+    return rows.join('\n');
+  }
+
+  // ---- Inline level: runs, tracked changes, hyperlinks and fields ----
+
+  renderInline(container, context, paragraphIndex) {
+    let text = '';
+
+    for (const node of this.children(container)) {
+      switch (node.localName) {
+        case 'r':
+          text += this.renderRun(node, false);
+          break;
+        case 'ins':
+        case 'moveTo': {
+          const inserted = this.renderInline(node, context, paragraphIndex);
+          this.recordChange(context, 'insertion', node, inserted, paragraphIndex);
+          text += inserted;
+          break;
+        }
+        case 'del':
+        case 'moveFrom': {
+          const deleted = this.children(node, 'r').map(run => this.renderRun(run, true)).join('');
+          this.recordChange(context, 'deletion', node, deleted, paragraphIndex);
+          break;
+        }
+        case 'sdt': {
+          const content = this.child(node, 'sdtContent');
+          if (content) text += this.renderInline(content, context, paragraphIndex);
+          break;
+        }
+        case 'hyperlink':
+        case 'smartTag':
+        case 'customXml':
+        case 'fldSimple':
+        case 'dir':
+        case 'bdo':
+          text += this.renderInline(node, context, paragraphIndex);
+          break;
+        default:
+          break;
+      }
+    }
+
+    return text;
+  }
+
+  renderRun(run, deleted) {
+    let text = '';
+
+    for (const node of this.children(run)) {
+      switch (node.localName) {
+        case 't':
+          if (!deleted) text += node.textContent;
+          break;
+        case 'delText':
+          if (deleted) text += node.textContent;
+          break;
+        case 'tab':
+        case 'ptab':
+          text += '\t';
+          break;
+        case 'br':
+        case 'cr':
+          text += '\n';
+          break;
+        case 'noBreakHyphen':
+          text += '-';
+          break;
+        default:
+          break;
+      }
+    }
+
+    return text;
+  }
+
+  // Word splits one edit into many elements - merge consecutive pieces by the same author
+  recordChange(context, type, element, text, paragraphIndex) {
+    if (!text || !text.trim()) return;
+
+    const author = this.attr(element, 'author') || 'Unknown';
+    const date = (this.attr(element, 'date') || '').slice(0, 10) || null;
+    const last = context.trackedChanges[context.trackedChanges.length - 1];
+
+    if (last && last.type === type && last.author === author && last.date === date && last.paragraphIndex === paragraphIndex) {
+      last.text += text;
+      return;
+    }
+
+    context.trackedChanges.push({ type, author, date, text, paragraphIndex });
+  }
+
+  formatTrackedChanges(changes) {
+    const lines = changes.map(change => {
+      const action = change.type === 'insertion' ? 'Inserted' : 'Deleted';
+      const when = change.date ? `, ${change.date}` : '';
+      return `[${action} by ${change.author}${when}] ${change.text.replace(/\s+/g, ' ').trim()}`;
+    });
+    return ['Tracked changes:', ...lines].join('\n');
+  }
+
+  // ---- List numbering ----
+
+  parseNumbering(numberingXml) {
+    const numbering = { abstractNums: {}, nums: {} };
+    if (!numberingXml) return numbering;
+
+    const root = numberingXml.documentElement;
+
+    for (const abstractNum of this.children(root, 'abstractNum')) {
+      const levels = {};
+      for (const lvl of this.children(abstractNum, 'lvl')) {
+        levels[this.attr(lvl, 'ilvl')] = this.parseLevel(lvl);
+      }
+      numbering.abstractNums[this.attr(abstractNum, 'abstractNumId')] = { levels };
+    }
+
+    for (const num of this.children(root, 'num')) {
+      const overrides = {};
+      for (const override of this.children(num, 'lvlOverride')) {
+        const startOverride = this.child(override, 'startOverride');
+        const lvl = this.child(override, 'lvl');
+        overrides[this.attr(override, 'ilvl')] = {
+          start: startOverride ? parseInt(this.attr(startOverride, 'val'), 10) : null,
+          level: lvl ? this.parseLevel(lvl) : null
+        };
+      }
+      numbering.nums[this.attr(num, 'numId')] = {
+        abstractNumId: this.attr(this.child(num, 'abstractNumId'), 'val'),
+        overrides
+      };
+    }
+
+    return numbering;
+  }
+
+  parseLevel(lvl) {
+    const start = this.attr(this.child(lvl, 'start'), 'val');
+    return {
+      start: start !== null ? parseInt(start, 10) : 1,
+      numFmt: this.attr(this.child(lvl, 'numFmt'), 'val') || 'decimal',
+      lvlText: this.attr(this.child(lvl, 'lvlText'), 'val') || '',
+      isLgl: !!this.child(lvl, 'isLgl')
+    };
+  }
+
+  parseStyles(stylesXml) {
+    const styles = {};
+    if (!stylesXml) return styles;
+
+    for (const style of this.children(stylesXml.documentElement, 'style')) {
+      const numPr = this.child(this.child(style, 'pPr'), 'numPr');
+      styles[this.attr(style, 'styleId')] = {
+        basedOn: this.attr(this.child(style, 'basedOn'), 'val'),
+        numId: numPr ? this.attr(this.child(numPr, 'numId'), 'val') : null,
+        ilvl: numPr ? this.attr(this.child(numPr, 'ilvl'), 'val') : null
+      };
+    }
+
+    return styles;
+  }
+
+  // Numbering comes from the paragraph itself or from its (inherited) paragraph style
+  resolveNumbering(pPr, styles) {
+    const numPr = this.child(pPr, 'numPr');
+    let numId = numPr ? this.attr(this.child(numPr, 'numId'), 'val') : null;
+    let ilvl = numPr ? this.attr(this.child(numPr, 'ilvl'), 'val') : null;
+
+    let styleId = this.attr(this.child(pPr, 'pStyle'), 'val');
+    const visited = new Set();
+    while (styleId && styles[styleId] && !visited.has(styleId) && (numId === null || ilvl === null)) {
+      visited.add(styleId);
+      const style = styles[styleId];
+      if (numId === null) numId = style.numId;
+      if (ilvl === null && style.numId !== null) ilvl = style.ilvl;
+      styleId = style.basedOn;
+    }
+
+    if (numId === null || numId === '0') return null;
+    return { numId, ilvl: parseInt(ilvl || '0', 10) };
+  }
+
+  getNumberingLabel(pPr, context) {
+    const resolved = this.resolveNumbering(pPr, context.styles);
+    if (!resolved) return null;
+
+    const { numId, ilvl } = resolved;
+    const num = context.numbering.nums[numId];
+    const abstractNum = num && context.numbering.abstractNums[num.abstractNumId];
+    if (!abstractNum) return null;
+
+    const levelAt = (index) => (num.overrides[index] && num.overrides[index].level) || abstractNum.levels[index];
+    const level = levelAt(ilvl);
+    if (!level) return null;
+
+    // Counters are shared by every list instance of the same abstract definition,
+    // unless an instance restarts numbering with a start override
+    const counters = context.counters[num.abstractNumId] || (context.counters[num.abstractNumId] = []);
+    if (!context.startedNums.has(numId)) {
+      context.startedNums.add(numId);
+      for (const [index, override] of Object.entries(num.overrides)) {
+        if (override.start !== null && !isNaN(override.start)) {
+          counters[index] = override.start - 1;
+        }
+      }
+    }
+
+    counters[ilvl] = counters[ilvl] === undefined ? level.start : counters[ilvl] + 1;
+    for (let deeper = ilvl + 1; deeper < counters.length; deeper++) {
+      counters[deeper] = undefined;
+    }
+
+    if (level.numFmt === 'bullet') return '•';
+    if (level.numFmt === 'none') return null;
+
+    const label = level.lvlText.replace(/%(\d)/g, (match, digit) => {
+      const index = parseInt(digit, 10) - 1;
+      const referenced = levelAt(index);
+      if (!referenced) return '';
+      if (counters[index] === undefined) counters[index] = referenced.start;
+      const format = level.isLgl ? 'decimal' : referenced.numFmt;
+      return this.formatNumber(counters[index], format);
+    });
+
+    return label.trim() || null;
+  }
+
+  formatNumber(value, format) {
+    switch (format) {
+      case 'decimalZero':
+        return value < 10 ? `0${value}` : String(value);
+      case 'lowerLetter':
+        return this.alphabetic(value, 'abcdefghijklmnopqrstuvwxyz');
+      case 'upperLetter':
+        return this.alphabetic(value, 'ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+      case 'lowerRoman':
+        return this.roman(value);
+      case 'upperRoman':
+        return this.roman(value).toUpperCase();
+      case 'hebrew1':
+        return this.hebrewNumeral(value);
+      case 'hebrew2':
+        return this.alphabetic(value, HEBREW_ALPHABET);
+      case 'arabicAlpha':
+        return this.alphabetic(value, ARABIC_ALPHABET);
+      default:
+        return String(value);
+    }
+  }
+
+  // Word repeats the letter after the alphabet runs out: a..z, aa..zz, ...
+  alphabetic(value, alphabet) {
+    if (value < 1) return String(value);
+    const letter = alphabet[(value - 1) % alphabet.length];
+    return letter.repeat(Math.floor((value - 1) / alphabet.length) + 1);
+  }
+
+  roman(value) {
+    if (value < 1) return String(value);
+    let remaining = value;
+    let result = '';
+    for (const [amount, numeral] of ROMAN_NUMERALS) {
+      while (remaining >= amount) {
+        result += numeral;
+        remaining -= amount;
+      }
+    }
+    return result;
+  }
+
+  hebrewNumeral(value) {
+    if (value < 1) return String(value);
+    let remaining = value % 1000;
+    let result = '';
+    for (const [amount, letter] of HEBREW_NUMERALS) {
+      // 15 and 16 are written טו / טז to avoid spelling the divine name
+      if (remaining === 15 || remaining === 16) {
+        result += remaining === 15 ? 'טו' : 'טז';
+        remaining = 0;
+        break;
+      }
+      while (remaining >= amount) {
+        result += letter;
+        remaining -= amount;
+      }
+    }
+    return result;
+  }
+
+  // ---- XML helpers (namespace-agnostic, so strict OOXML works too) ----
+
+  children(node, localName = null) {
+    if (!node || !node.childNodes) return [];
+    const result = [];
+    for (let i = 0; i < node.childNodes.length; i++) {
+      const child = node.childNodes[i];
+      if (child.nodeType === 1 && (!localName || child.localName === localName)) {
+        result.push(child);
+      }
+    }
+    return result;
+  }
+
+  child(node, localName) {
+    return this.children(node, localName)[0] || null;
+  }
+
+  attr(node, localName) {
+    if (!node || !node.attributes) return null;
+    for (let i = 0; i < node.attributes.length; i++) {
+      const attribute = node.attributes[i];
+      if ((attribute.localName || attribute.name) === localName) {
+        return attribute.value;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = DocxService;
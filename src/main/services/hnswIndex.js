@@ -0,0 +1,364 @@
+const fs = require('fs');
+
+const INDEX_FORMAT_VERSION = 1;
+
+/**
+ * Binary heap ordered by `score` (smallest first unless `max` is set)
+ */
+class Heap {
+  constructor(max = false) {
+    this.items = [];
+    this.sign = max ? -1 : 1;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.sign * (items[parent].score - items[i].score) <= 0) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let best = i;
+        if (left < items.length && this.sign * (items[left].score - items[best].score) < 0) best = left;
+        if (right < items.length && this.sign * (items[right].score - items[best].score) < 0) best = right;
+        if (best === i) break;
+        [items[best], items[i]] = [items[i], items[best]];
+        i = best;
+      }
+    }
+    return top;
+  }
+}
+
+/**
+ * Hierarchical Navigable Small World graph for approximate cosine search
+ *
+ * Vectors are not copied into the index; they are read through `getVector(label)`
+ * so the binary vector storage stays the single copy. Nodes are removed for real:
+ * the neighbours of a removed node are reconnected among themselves, so the graph
+ * never has to route through vectors that no longer exist.
+ */
+class HnswIndex {
+  /**
+   * @param {Function} getVector - Returns the vector for a label, or null if it is gone
+   * @param {Object} options - { M, efConstruction, efSearch }
+   */
+  constructor(getVector, { M = 16, efConstruction = 100, efSearch = 64 } = {}) {
+    this.getVector = getVector;
+    this.M = M;
+    this.efConstruction = efConstruction;
+    this.efSearch = efSearch;
+    this.levelMultiplier = 1 / Math.log(M);
+
+    this.nodes = new Map();
+    this.norms = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(label) {
+    return this.nodes.has(label);
+  }
+
+  labels() {
+    return this.nodes.keys();
+  }
+
+  /**
+   * Insert a label whose vector is available through getVector
+   */
+  add(label) {
+    if (this.nodes.has(label)) return;
+    const vector = this.getVector(label);
+    if (!vector) return;
+
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMultiplier);
+    const node = { level, neighbors: Array.from({ length: level + 1 }, () => []) };
+    this.nodes.set(label, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = label;
+      this.maxLevel = level;
+      return;
+    }
+
+    let entryPoints = [this.entryPoint];
+    for (let l = this.maxLevel; l > level; l--) {
+      entryPoints = [this.searchLayer(vector, entryPoints, 1, l, label)[0].label];
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(vector, entryPoints, this.efConstruction, l, label);
+      const maxLinks = this.maxLinks(l);
+      node.neighbors[l] = this.selectNeighbors(candidates, maxLinks);
+
+      for (const neighborLabel of node.neighbors[l]) {
+        const neighbor = this.nodes.get(neighborLabel);
+        neighbor.neighbors[l].push(label);
+        if (neighbor.neighbors[l].length > maxLinks) {
+          this.pruneLinks(neighborLabel, neighbor, l);
+        }
+      }
+
+      entryPoints = candidates.map(candidate => candidate.label);
+    }
+
+    if (level > this.maxLevel) {
+      this.entryPoint = label;
+      this.maxLevel = level;
+    }
+  }
+
+  /**
+   * Remove a label and reconnect its former neighbours
+   */
+  remove(label) {
+    const node = this.nodes.get(label);
+    if (!node) return;
+    this.nodes.delete(label);
+    this.norms.delete(label);
+
+    for (let l = 0; l <= node.level; l++) {
+      for (const neighborLabel of node.neighbors[l]) {
+        const neighbor = this.nodes.get(neighborLabel);
+        if (!neighbor || neighbor.level < l) continue;
+
+        const links = new Set(neighbor.neighbors[l].filter(other => other !== label));
+        for (const other of node.neighbors[l]) {
+          if (other !== neighborLabel && this.nodes.has(other)) links.add(other);
+        }
+        neighbor.neighbors[l] = Array.from(links);
+        this.pruneLinks(neighborLabel, neighbor, l);
+      }
+    }
+
+    if (this.entryPoint === label) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const [otherLabel, other] of this.nodes) {
+        if (other.level > this.maxLevel) {
+          this.entryPoint = otherLabel;
+          this.maxLevel = other.level;
+        }
+      }
+    }
+  }
+
+  /**
+   * Approximate k nearest neighbours by cosine similarity
+   * @param {Function} filter - Optional label => boolean; the graph is still walked
+   *   through every node, but only accepted labels are collected as results
+   * @returns {Object[]} [{ label, similarity }] best first
+   */
+  search(vector, k, ef = this.efSearch, filter = null) {
+    if (this.entryPoint === null) return [];
+
+    let entryPoints = [this.entryPoint];
+    for (let l = this.maxLevel; l > 0; l--) {
+      entryPoints = [this.searchLayer(vector, entryPoints, 1, l)[0].label];
+    }
+
+    return this.searchLayer(vector, entryPoints, Math.max(ef, k), 0, null, filter)
+      .slice(0, k)
+      .map(({ label, score }) => ({ label, similarity: 1 - score }));
+  }
+
+  /**
+   * Plain data for saving; labels are stored once and neighbours by position
+   */
+  serialize() {
+    const labels = Array.from(this.nodes.keys());
+    const positions = new Map(labels.map((label, i) => [label, i]));
+
+    return {
+      version: INDEX_FORMAT_VERSION,
+      M: this.M,
+      efConstruction: this.efConstruction,
+      entryPoint: this.entryPoint === null ? -1 : positions.get(this.entryPoint),
+      maxLevel: this.maxLevel,
+      labels,
+      levels: labels.map(label => this.nodes.get(label).level),
+      neighbors: labels.map(label => this.nodes.get(label).neighbors.map(links =>
+        links.filter(link => positions.has(link)).map(link => positions.get(link))
+      ))
+    };
+  }
+
+  save(filePath) {
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.serialize()));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Load a saved index; returns null if the file is missing or from another format
+   */
+  static load(filePath, getVector, options = {}) {
+    if (!fs.existsSync(filePath)) return null;
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (data.version !== INDEX_FORMAT_VERSION) return null;
+
+    const index = new HnswIndex(getVector, { ...options, M: data.M, efConstruction: data.efConstruction });
+    data.labels.forEach((label, i) => {
+      index.nodes.set(label, {
+        level: data.levels[i],
+        neighbors: data.neighbors[i].map(links => links.map(position => data.labels[position]))
+      });
+    });
+    index.entryPoint = data.entryPoint >= 0 ? data.labels[data.entryPoint] : null;
+    index.maxLevel = data.maxLevel;
+    return index;
+  }
+
+  // ---- Internal ----
+
+  maxLinks(level) {
+    return level === 0 ? this.M * 2 : this.M;
+  }
+
+  // Cosine distance (1 - similarity); norms are cached per label
+  distance(vector, vectorNorm, label) {
+    const other = this.getVector(label);
+    if (!other) return Infinity;
+
+    const norm = this.getNorm(label, other);
+    let dot = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += vector[i] * other[i];
+    }
+    return 1 - dot / ((vectorNorm * norm) || 1);
+  }
+
+  getNorm(label, vector) {
+    let norm = this.norms.get(label);
+    if (norm === undefined) {
+      norm = HnswIndex.norm(vector);
+      this.norms.set(label, norm);
+    }
+    return norm;
+  }
+
+  static norm(vector) {
+    let sum = 0;
+    for (let i = 0; i < vector.length; i++) {
+      sum += vector[i] * vector[i];
+    }
+    return Math.sqrt(sum);
+  }
+
+  // Greedy best-first search on one layer; returns up to ef candidates, closest first.
+  // Labels that are excluded or rejected by the filter are walked through but not returned.
+  searchLayer(vector, entryPoints, ef, level, exclude = null, filter = null) {
+    const vectorNorm = HnswIndex.norm(vector);
+    const visited = new Set(entryPoints);
+    const candidates = new Heap();
+    const results = new Heap(true);
+    const accepts = label => label !== exclude && (!filter || filter(label));
+
+    for (const label of entryPoints) {
+      if (!this.nodes.has(label)) continue;
+      const score = this.distance(vector, vectorNorm, label);
+      candidates.push({ label, score });
+      if (accepts(label)) results.push({ label, score });
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.score > results.peek().score) break;
+
+      const node = this.nodes.get(current.label);
+      if (!node || node.level < level) continue;
+
+      for (const neighborLabel of node.neighbors[level]) {
+        if (visited.has(neighborLabel)) continue;
+        visited.add(neighborLabel);
+        // Links to removed nodes are dropped lazily
+        if (!this.nodes.has(neighborLabel)) continue;
+
+        const score = this.distance(vector, vectorNorm, neighborLabel);
+        if (results.size < ef || score < results.peek().score) {
+          candidates.push({ label: neighborLabel, score });
+          if (accepts(neighborLabel)) {
+            results.push({ label: neighborLabel, score });
+            if (results.size > ef) results.pop();
+          }
+        }
+      }
+    }
+
+    const sorted = [];
+    while (results.size > 0) sorted.push(results.pop());
+    return sorted.reverse();
+  }
+
+  // Neighbour selection heuristic: keep a candidate only if it is closer to the
+  // base than to any neighbour already kept, then top up with the closest rest
+  selectNeighbors(candidates, maxLinks) {
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of candidates) {
+      if (selected.length >= maxLinks) break;
+      const candidateVector = this.getVector(candidate.label);
+      if (!candidateVector) continue;
+      const candidateNorm = this.getNorm(candidate.label, candidateVector);
+
+      const dominated = selected.some(kept =>
+        this.distance(candidateVector, candidateNorm, kept.label) < candidate.score
+      );
+      (dominated ? pruned : selected).push(candidate);
+    }
+
+    for (const candidate of pruned) {
+      if (selected.length >= maxLinks) break;
+      selected.push(candidate);
+    }
+
+    return selected.map(candidate => candidate.label);
+  }
+
+  // Trim an overflowing link list to its closest entries. Cheaper than the full
+  // heuristic, which only runs when a node picks its own neighbours.
+  pruneLinks(label, node, level) {
+    const vector = this.getVector(label);
+    if (!vector) return;
+    const vectorNorm = this.getNorm(label, vector);
+
+    node.neighbors[level] = node.neighbors[level]
+      .filter(link => this.nodes.has(link))
+      .map(link => ({ label: link, score: this.distance(vector, vectorNorm, link) }))
+      .sort((a, b) => a.score - b.score)
+      .slice(0, this.maxLinks(level))
+      .map(candidate => candidate.label);
+  }
+}
+
+module.exports = HnswIndex;
@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+const Store = require('electron-store');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 8;
+const FINISHED_JOBS_KEPT = 50;
+
+// Terminal job states; everything else is still waiting or running
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled', 'duplicate'];
+
+/**
+ * Persistent document ingestion queue
+ * Runs processDocument jobs with a concurrency limit, supports per-job cancel/retry
+ * and pause/resume, and restores unfinished jobs after an app restart
+ */
+class IngestionQueueService {
+  /**
+   * @param {DocumentService} documentService - Service that processes each file
+   */
+  constructor(documentService) {
+    this.documentService = documentService;
+    this.store = new Store({
+      name: 'ingestion-queue',
+      encryptionKey: 'covenantrix-queue-key-v1'
+    });
+
+    this.jobs = this.store.get('jobs', []);
+    this.paused = this.store.get('paused', false);
+    this.concurrency = this.store.get('concurrency', DEFAULT_CONCURRENCY);
+
+    // In-memory only: abort controllers of running jobs
+    this.controllers = new Map();
+    this.notify = () => {};
+    this.started = false;
+
+    console.log(`📥 IngestionQueueService initialized (${this.jobs.length} jobs, concurrency ${this.concurrency})`);
+  }
+
+  /**
+   * Set the function used to push queue events to the renderer
+   * @param {Function} notify - Called with (channel, payload)
+   */
+  setNotifier(notify) {
+    this.notify = notify || (() => {});
+  }
+
+  /**
+   * Restore jobs interrupted by a restart and begin processing
+   */
+  async start() {
+    if (this.started) return;
+    this.started = true;
+
+    const interrupted = this.jobs.filter(job => job.status === 'processing');
+    for (const job of interrupted) {
+      // Throw away whatever the interrupted run left behind and run the job again.
+      // Replace jobs never write under their own ID, so existing documents are safe.
+      await this.documentService.deleteDocument(job.documentId);
+      Object.assign(job, { status: 'queued', progress: 0, interrupted: true, startedAt: null });
+    }
+
+    if (interrupted.length > 0) {
+      console.log(`🔁 Re-queued ${interrupted.length} ingestion job(s) interrupted by restart`);
+      this.persist();
+    }
+
+    this.pump();
+  }
+
+  /**
+   * Add files to the queue
+   * @param {string[]} filePaths - Files to ingest
+   * @param {Object} options - { folderId, duplicateAction }
+   * @returns {Object[]} The created jobs
+   */
+  enqueue(filePaths, options = {}) {
+    const jobs = filePaths.map(filePath => ({
+      id: uuidv4(),
+      filePath,
+      fileName: path.basename(filePath),
+      folderId: options.folderId || null,
+      duplicateAction: options.duplicateAction || null,
+      documentId: uuidv4(),
+      status: 'queued',
+      progress: 0,
+      attempts: 0,
+      error: null,
+      result: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    }));
+
+    this.jobs.push(...jobs);
+    this.persist();
+    console.log(`📥 Queued ${jobs.length} file(s) for ingestion`);
+
+    this.pump();
+    return jobs.map(job => this.toPublicJob(job));
+  }
+
+  cancel(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      return { success: false, error: 'Job not found' };
+    }
+
+    if (job.status === 'queued') {
+      this.finishJob(job, 'cancelled', { error: 'Cancelled before processing started' });
+      return { success: true, job: this.toPublicJob(job) };
+    }
+
+    if (job.status === 'processing') {
+      // The running job stops at its next checkpoint and reports itself as cancelled
+      const controller = this.controllers.get(jobId);
+      if (controller) controller.abort();
+      job.cancelRequested = true;
+      this.persist();
+      this.broadcast();
+      return { success: true, job: this.toPublicJob(job) };
+    }
+
+    return { success: false, error: `Job is already ${job.status}` };
+  }
+
+  async retry(jobId) {
+    const job = this.getJob(jobId);
+    if (!job) {
+      return { success: false, error: 'Job not found' };
+    }
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      return { success: false, error: `Only failed or cancelled jobs can be retried (job is ${job.status})` };
+    }
+
+    // The failed attempt may have left an error record and the stored original behind
+    await this.documentService.deleteDocument(job.documentId);
+
+    Object.assign(job, {
+      status: 'queued',
+      progress: 0,
+      error: null,
+      result: null,
+      cancelRequested: false,
+      documentId: uuidv4(),
+      startedAt: null,
+      finishedAt: null
+    });
+    this.persist();
+    this.pump();
+    return { success: true, job: this.toPublicJob(job) };
+  }
+
+  pause() {
+    this.paused = true;
+    this.persist();
+    console.log('⏸️ Ingestion queue paused');
+    return this.getQueue();
+  }
+
+  resume() {
+    this.paused = false;
+    this.persist();
+    console.log('▶️ Ingestion queue resumed');
+    this.pump();
+    return this.getQueue();
+  }
+
+  setConcurrency(concurrency) {
+    const value = parseInt(concurrency, 10);
+    if (isNaN(value) || value < 1 || value > MAX_CONCURRENCY) {
+      throw new Error(`Concurrency must be between 1 and ${MAX_CONCURRENCY}`);
+    }
+    this.concurrency = value;
+    this.persist();
+    this.pump();
+    return this.getQueue();
+  }
+
+  clearFinished() {
+    this.jobs = this.jobs.filter(job => !FINISHED_STATUSES.includes(job.status));
+    this.persist();
+    return this.getQueue();
+  }
+
+  getQueue() {
+    const counts = {};
+    for (const job of this.jobs) {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+
+    return {
+      paused: this.paused,
+      concurrency: this.concurrency,
+      counts,
+      jobs: this.jobs.map(job => this.toPublicJob(job))
+    };
+  }
+
+  // Document IDs that queued or running jobs will write to
+  getActiveDocumentIds() {
+    return this.jobs
+      .filter(job => job.status === 'queued' || job.status === 'processing')
+      .map(job => job.documentId);
+  }
+
+  getJob(jobId) {
+    return this.jobs.find(job => job.id === jobId);
+  }
+
+  // ---- Internal ----
+
+  pump() {
+    if (!this.started || this.paused) {
+      this.broadcast();
+      return;
+    }
+
+    let running = this.jobs.filter(job => job.status === 'processing').length;
+    for (const job of this.jobs) {
+      if (running >= this.concurrency) break;
+      if (job.status !== 'queued') continue;
+
+      running++;
+      this.runJob(job);
+    }
+
+    this.broadcast();
+  }
+
+  async runJob(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+
+    Object.assign(job, {
+      status: 'processing',
+      attempts: job.attempts + 1,
+      startedAt: new Date().toISOString()
+    });
+    this.persist();
+    this.notify('processing-status', { fileName: job.fileName, jobId: job.id, status: 'processing' });
+
+    try {
+      if (!fs.existsSync(job.filePath)) {
+        throw new Error(`Source file no longer exists: ${job.filePath}`);
+      }
+
+      const progressCallback = (progressData) => {
+        job.progress = progressData.progress || job.progress;
+        this.notify('document-progress', { fileName: job.fileName, jobId: job.id, ...progressData });
+      };
+
+      const result = await this.documentService.processDocument(job.filePath, job.fileName, progressCallback, job.folderId, {
+        duplicateAction: job.duplicateAction,
+        documentId: job.documentId,
+        signal: controller.signal
+      });
+
+      if (result.success) {
+        this.finishJob(job, 'completed', { result });
+      } else if (result.cancelled) {
+        this.finishJob(job, 'cancelled', { result, error: 'Cancelled by user' });
+      } else if (result.duplicate) {
+        this.finishJob(job, 'duplicate', { result });
+      } else {
+        this.finishJob(job, 'failed', { result, error: result.error });
+      }
+    } catch (error) {
+      console.error(`❌ Ingestion job failed for ${job.fileName}:`, error.message);
+      this.finishJob(job, 'failed', { error: error.message });
+    } finally {
+      this.controllers.delete(job.id);
+      this.pump();
+    }
+  }
+
+  finishJob(job, status, { result = null, error = null } = {}) {
+    Object.assign(job, {
+      status,
+      error,
+      progress: status === 'completed' ? 100 : job.progress,
+      result: result ? this.summarizeResult(result) : null,
+      finishedAt: new Date().toISOString()
+    });
+    this.pruneFinished();
+    this.persist();
+
+    // Same status events the renderer already listens to for direct uploads
+    const statusEvent = { fileName: job.fileName, jobId: job.id };
+    if (status === 'completed') {
+      this.notify('processing-status', { ...statusEvent, status: 'completed', result });
+    } else if (status === 'duplicate') {
+      this.notify('processing-status', { ...statusEvent, status: 'duplicate', result });
+      // Uploads matching a library document wait for the user to choose skip/replace/new version
+      if (!result.skipped) {
+        this.notify('ingestion-duplicate', { ...result, fileName: job.fileName, filePath: job.filePath, jobId: job.id });
+      }
+    } else {
+      this.notify('processing-status', { ...statusEvent, status: status === 'cancelled' ? 'cancelled' : 'error', error });
+    }
+
+    this.broadcast();
+  }
+
+  // Only what the queue UI needs - the full document metadata lives in the documents store
+  summarizeResult(result) {
+    return {
+      success: !!result.success,
+      documentId: result.document?.id || result.documentId || null,
+      chunksCount: result.chunksCount,
+      duplicate: !!result.duplicate,
+      existingDocument: result.existingDocument || null,
+      message: result.message || null
+    };
+  }
+
+  pruneFinished() {
+    const finished = this.jobs.filter(job => FINISHED_STATUSES.includes(job.status));
+    if (finished.length <= FINISHED_JOBS_KEPT) return;
+
+    const drop = new Set(finished.slice(0, finished.length - FINISHED_JOBS_KEPT).map(job => job.id));
+    this.jobs = this.jobs.filter(job => !drop.has(job.id));
+  }
+
+  // Copies, so callers cannot mutate queue state
+  toPublicJob(job) {
+    return { ...job };
+  }
+
+  persist() {
+    this.store.set('jobs', this.jobs);
+    this.store.set('paused', this.paused);
+    this.store.set('concurrency', this.concurrency);
+  }
+
+  broadcast() {
+    this.notify('ingestion-queue-updated', this.getQueue());
+  }
+}
+
+module.exports = IngestionQueueService;
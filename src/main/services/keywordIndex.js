@@ -0,0 +1,179 @@
+const fs = require('fs');
+const TextNormalizer = require('./textNormalizer');
+
+// Bumped whenever tokenization changes, so saved indexes are rebuilt from the chunks
+const INDEX_FORMAT_VERSION = 3;
+
+/**
+ * BM25 inverted index over chunk texts
+ *
+ * Each chunk keeps its term frequencies (the forward index) so it can be removed
+ * without re-reading its text; postings are rebuilt from those on load. Only the
+ * forward index is written to disk.
+ *
+ * Text goes through an analyzer ({ tokenize, variants }). Every variant of a word
+ * is indexed with its weight as the term frequency, and a query word scores with its
+ * best-matching variant scaled by that variant's weight, so a prefixed Hebrew or
+ * Arabic form counts once rather than once per stem, and below an exact match.
+ */
+class KeywordIndex {
+  /**
+   * @param {Object} options - { k1, b, analyzer }
+   */
+  constructor({ k1 = 1.2, b = 0.75, analyzer = new TextNormalizer() } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.analyzer = analyzer;
+
+    // chunkId -> { documentId, length, textLength, terms: { term: tf } }
+    this.chunks = new Map();
+    // term -> Map(chunkId -> tf)
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.chunks.size;
+  }
+
+  has(chunkId) {
+    return this.chunks.has(chunkId);
+  }
+
+  getEntry(chunkId) {
+    return this.chunks.get(chunkId) || null;
+  }
+
+  chunkIds() {
+    return this.chunks.keys();
+  }
+
+  /**
+   * Index (or re-index) one chunk
+   */
+  add(chunkId, documentId, text) {
+    this.remove(chunkId);
+
+    const tokens = this.analyzer.tokenize(text);
+    const terms = {};
+    for (const token of tokens) {
+      for (const { term, weight } of this.analyzer.variants(token)) {
+        terms[term] = (terms[term] || 0) + weight;
+      }
+    }
+
+    this.insertEntry(chunkId, { documentId, length: tokens.length, textLength: (text || '').length, terms });
+  }
+
+  remove(chunkId) {
+    const entry = this.chunks.get(chunkId);
+    if (!entry) return;
+
+    for (const term of Object.keys(entry.terms)) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+      posting.delete(chunkId);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+
+    this.totalLength -= entry.length;
+    this.chunks.delete(chunkId);
+  }
+
+  /**
+   * Rank chunks for a query
+   * @param {string} query - Free text, tokenized the same way as the chunks
+   * @param {number} limit - Maximum results
+   * @param {Function} filter - Optional (chunkId, documentId) => boolean, applied before ranking
+   * @returns {Object[]} [{ chunkId, documentId, score, matchedTerms }] best first
+   */
+  search(query, limit = 10, filter = null) {
+    const queryWords = [...new Set(this.analyzer.tokenize(query))];
+    if (queryWords.length === 0 || this.chunks.size === 0) return [];
+
+    const count = this.chunks.size;
+    const avgLength = this.totalLength / count || 1;
+    const scores = new Map();
+
+    for (const word of queryWords) {
+      // Best variant per chunk for this query word
+      const wordScores = new Map();
+
+      for (const { term, weight } of this.analyzer.variants(word)) {
+        const posting = this.postings.get(term);
+        if (!posting) continue;
+
+        // BM25 idf, floored at 0 so very common terms never count against a chunk
+        const idf = Math.max(0, Math.log(1 + (count - posting.size + 0.5) / (posting.size + 0.5)));
+
+        for (const [chunkId, tf] of posting) {
+          const entry = this.chunks.get(chunkId);
+          if (filter && !filter(chunkId, entry.documentId)) continue;
+
+          const norm = tf + this.k1 * (1 - this.b + this.b * (entry.length / avgLength));
+          const termScore = weight * idf * (tf * (this.k1 + 1)) / norm;
+
+          const best = wordScores.get(chunkId);
+          if (!best || termScore > best.score) {
+            wordScores.set(chunkId, { documentId: entry.documentId, score: termScore });
+          }
+        }
+      }
+
+      for (const [chunkId, { documentId, score }] of wordScores) {
+        const current = scores.get(chunkId) || { chunkId, documentId, score: 0, matchedTerms: [] };
+        current.score += score;
+        current.matchedTerms.push(word);
+        scores.set(chunkId, current);
+      }
+    }
+
+    return Array.from(scores.values())
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  save(filePath) {
+    const data = {
+      version: INDEX_FORMAT_VERSION,
+      chunks: Object.fromEntries(this.chunks)
+    };
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data));
+    fs.renameSync(tempPath, filePath);
+  }
+
+  /**
+   * Load a saved index; returns null if the file is missing or from another format
+   */
+  static load(filePath, options = {}) {
+    if (!fs.existsSync(filePath)) return null;
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    if (data.version !== INDEX_FORMAT_VERSION) return null;
+
+    const index = new KeywordIndex(options);
+    for (const [chunkId, entry] of Object.entries(data.chunks)) {
+      index.insertEntry(chunkId, entry);
+    }
+    return index;
+  }
+
+  // ---- Internal ----
+
+  insertEntry(chunkId, entry) {
+    this.chunks.set(chunkId, entry);
+    this.totalLength += entry.length;
+
+    for (const [term, tf] of Object.entries(entry.terms)) {
+      let posting = this.postings.get(term);
+      if (!posting) {
+        posting = new Map();
+        this.postings.set(term, posting);
+      }
+      posting.set(chunkId, tf);
+    }
+  }
+}
+
+module.exports = KeywordIndex;
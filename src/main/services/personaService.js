@@ -1,5 +1,10 @@
 const Store = require('electron-store');
 
+// costLimit is checked against the worst case (prompt plus a full max_tokens answer)
+// since budget version 2; budgets saved before that carry no version
+const TOKEN_BUDGET_VERSION = 2;
+const DEFAULT_COST_LIMIT = 0.25;
+
 class PersonaService {
   constructor() {
     // Settings store for persona preferences
@@ -198,7 +203,8 @@ INSTRUCTIONS:
       return `INSTRUCTIONS:
 - Base analysis EXCLUSIVELY on provided document context
 - State explicitly when information is missing from documents
-- Cite specific document sections with precision
+- Cite specific document sections with precision, using their labels (e.g. [REF-1.2])
+- Quote document text word for word, in quotation marks
 - Preserve Hebrew/Arabic text direction when quoting
 - Focus on practical, actionable legal insights
 - Highlight risks and important considerations
@@ -208,7 +214,7 @@ INSTRUCTIONS:
     // Medium budget instructions
     return `INSTRUCTIONS:
 - Base analysis on provided document context
-- Cite specific sections with precision  
+- Cite specific sections with precision, using their labels (e.g. [REF-1.2])
 - Focus on practical legal insights
 - Highlight key risks and considerations
 - State limitations when uncertain`;
@@ -242,19 +248,29 @@ INSTRUCTIONS:
   
   // Get user's token budget preference
   getUserTokenBudget() {
-    return this.settingsStore.get('token_budget', {
+    return {
       maxTokensPerQuery: 1000,
       budgetTier: 'standard', // 'minimal', 'standard', 'comprehensive'
-      costLimit: 0.05 // USD per query
-    });
+      costLimit: DEFAULT_COST_LIMIT, // USD per query (worst case, full-length answer), enforced before sending
+      monthlyCostLimit: null, // USD per calendar month across chat and embeddings; null = no limit
+      ...this.settingsStore.get('token_budget', {})
+    };
   }
 
   // Set user's token budget preference
   setUserTokenBudget(budget) {
+    budget = { ...budget, budgetVersion: TOKEN_BUDGET_VERSION };
     this.settingsStore.set('token_budget', budget);
     console.log(`💰 Token budget updated: ${budget.budgetTier} tier, max ${budget.maxTokensPerQuery} tokens`);
   }
 
+  // True when the per-query limit was saved before costLimit priced the full-length answer.
+  // The user's value is kept as is; callers mention it when that limit rejects a query.
+  hasLegacyCostLimit() {
+    const stored = this.settingsStore.get('token_budget');
+    return !!stored && stored.costLimit !== undefined && !(stored.budgetVersion >= TOKEN_BUDGET_VERSION);
+  }
+
   // Calculate complexity level for dynamic prompt selection
   calculateComplexityLevel(query, confidenceScore, queryType) {
     let complexity = 'standard';
@@ -0,0 +1,148 @@
+const TextNormalizer = require('./textNormalizer');
+
+// History messages shown to the rewriting model, and how much of each answer
+const REWRITE_HISTORY_MESSAGES = 6;
+const REWRITE_ANSWER_CHARS = 600;
+
+// A rewrite longer than this is an answer, not a query
+const MAX_REWRITE_CHARS = 500;
+
+// Openings that make a question lean on the previous one ("and what about ...")
+const FOLLOW_UP_LEADS = [
+  /^(?:and|but|also|so|ok|okay)?\s*(?:what|how)\s+about\b/i,
+  /^(?:and|but|also|what of)\b/i,
+  /^ו?(?:מה|איך)\s+(?:לגבי|בקשר ל|עם)/,
+  /^(?:וגם|ואם|ומה)(?=\s|$)/,
+  /^و?(?:ماذا|ما)\s+(?:عن|بخصوص|بشأن)/,
+  /^(?:وأيضا|وكذلك|وماذا)(?=\s|$)/
+];
+
+// Words that point back at something named earlier
+const REFERRING_WORDS = [
+  'it', 'its', 'this', 'that', 'these', 'those', 'they', 'them', 'their', 'he', 'she', 'there', 'same', 'other',
+  'הוא', 'היא', 'זה', 'זו', 'זאת', 'הם', 'הן', 'שלו', 'שלה', 'שלהם', 'השני', 'השנייה', 'האחר', 'הזה', 'הזו',
+  'هو', 'هي', 'هذا', 'هذه', 'ذلك', 'تلك', 'هم', 'الآخر', 'الأخرى'
+];
+
+// Follow-ups this short rarely stand alone
+const SHORT_QUERY_WORDS = 3;
+
+// Function words not worth carrying over from the previous question
+const STOPWORDS = [
+  'the', 'a', 'an', 'of', 'in', 'on', 'to', 'for', 'and', 'or', 'is', 'are', 'was', 'be', 'what', 'which',
+  'who', 'how', 'when', 'where', 'why', 'does', 'do', 'can', 'could', 'should', 'would', 'there', 'with',
+  'by', 'from', 'about', 'me', 'my', 'our', 'we', 'you', 'please', 'tell', 'explain', 'any',
+  'מה', 'מי', 'איך', 'מתי', 'איפה', 'למה', 'האם', 'של', 'על', 'את', 'עם', 'יש', 'אין', 'לא', 'כל', 'גם',
+  'מהו', 'מהי', 'מהם', 'מהן', 'אני', 'אנחנו', 'בבקשה', 'תסביר', 'הסבר',
+  'ما', 'ماذا', 'من', 'كيف', 'متى', 'أين', 'لماذا', 'هل', 'في', 'على', 'عن', 'إلى', 'مع', 'هناك', 'لا', 'هو', 'هي'
+];
+
+/**
+ * Turns a follow-up question into a standalone search query
+ *
+ * Retrieval only sees the query, so "and what about termination?" has to carry the
+ * subject of the earlier questions with it. The rewrite itself is done by the chat model
+ * (see buildMessages / parseRewrite); rewriteWithRules is the fallback when that call
+ * fails or is over budget: it drops the follow-up opening and adds the content words of
+ * the previous question.
+ */
+class QueryRewriter {
+  constructor({ analyzer = new TextNormalizer() } = {}) {
+    this.analyzer = analyzer;
+    // Word lists are compared in normalized form (final letters, alef variants folded)
+    this.referringWords = new Set(REFERRING_WORDS.map(word => analyzer.normalize(word)));
+    this.stopwords = new Set(STOPWORDS.map(word => analyzer.normalize(word)));
+  }
+
+  /**
+   * Chat messages asking the model for a standalone query
+   * @param {string} query - The follow-up question
+   * @param {Object[]} history - Conversation messages, oldest first
+   * @returns {Object[]} [{ role, content }]
+   */
+  buildMessages(query, history) {
+    const transcript = history.slice(-REWRITE_HISTORY_MESSAGES).map(message => {
+      const content = message.role === 'assistant' && message.content.length > REWRITE_ANSWER_CHARS
+        ? `${message.content.slice(0, REWRITE_ANSWER_CHARS)}...`
+        : message.content;
+      return `${message.role === 'user' ? 'User' : 'Assistant'}: ${content}`;
+    }).join('\n\n');
+
+    return [
+      {
+        role: 'system',
+        content: 'You rewrite follow-up questions about contracts into standalone search queries. ' +
+          'Use the conversation to resolve references (it, that clause, the other party) and add the subject the question leaves out. ' +
+          'Keep the language of the follow-up question, and keep names, clause numbers and defined terms as written. ' +
+          'If the question already stands alone, return it unchanged. Reply with the query only.'
+      },
+      {
+        role: 'user',
+        content: `Conversation:\n${transcript}\n\nFollow-up question: ${query}\n\nStandalone query:`
+      }
+    ];
+  }
+
+  /**
+   * The query from the model's reply, or null if the reply is unusable
+   * @param {string} reply
+   * @returns {string|null}
+   */
+  parseRewrite(reply) {
+    const rewritten = (reply || '')
+      .trim()
+      .split('\n')[0]
+      .replace(/^(?:standalone query|query)\s*:\s*/i, '')
+      .replace(/^["“”'«]+|["“”'»]+$/g, '')
+      .trim();
+
+    if (!rewritten || rewritten.length > MAX_REWRITE_CHARS) return null;
+    return rewritten;
+  }
+
+  /**
+   * Standalone query without a model call
+   * @param {string} query - The follow-up question
+   * @param {Object[]} history - Conversation messages, oldest first
+   * @returns {string} The query, unchanged if it does not lean on earlier turns
+   */
+  rewriteWithRules(query, history) {
+    const previousQuestion = [...history].reverse().find(message => message.role === 'user');
+    if (!previousQuestion || !this.isFollowUp(query)) return query;
+
+    const core = this.stripFollowUpLead(query);
+    const coreWords = new Set(this.analyzer.tokenize(core));
+
+    // Content words of the previous question, as written, that the follow-up lacks
+    const carried = [];
+    for (const word of previousQuestion.content.match(/[\p{L}\p{N}][\p{L}\p{N}\p{M}'"׳״-]*/gu) || []) {
+      const normalized = this.analyzer.tokenize(word);
+      if (normalized.length === 0) continue;
+      if (normalized.every(token => this.stopwords.has(token) || coreWords.has(token))) continue;
+      normalized.forEach(token => coreWords.add(token));
+      carried.push(word);
+    }
+
+    return carried.length > 0 ? `${core} ${carried.join(' ')}`.trim() : query;
+  }
+
+  // ---- Internal ----
+
+  isFollowUp(query) {
+    const trimmed = query.trim();
+    if (FOLLOW_UP_LEADS.some(pattern => pattern.test(trimmed))) return true;
+
+    const words = this.analyzer.tokenize(trimmed);
+    return words.length <= SHORT_QUERY_WORDS || words.some(word => this.referringWords.has(word));
+  }
+
+  stripFollowUpLead(query) {
+    let core = query.trim();
+    for (const pattern of FOLLOW_UP_LEADS) {
+      core = core.replace(pattern, '').trim();
+    }
+    return core.replace(/^[,،:;\s]+/, '').replace(/[?؟!.\s]+$/, '') || query.trim();
+  }
+}
+
+module.exports = QueryRewriter;
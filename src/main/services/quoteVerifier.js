@@ -0,0 +1,249 @@
+const TextNormalizer = require('./textNormalizer');
+
+// Quoted spans shorter than this are terms ("Tenant", "Force Majeure"), not quotations
+const MIN_QUOTE_WORDS = 4;
+
+// Longer quotes are checked on their first words only, to bound the alignment cost
+const MAX_QUOTE_WORDS = 120;
+
+// Word-level similarity from which a quote counts as approximately found
+const APPROXIMATE_THRESHOLD = 0.75;
+
+// Any opening and closing quote mark: straight, curly, low-9 and guillemets. Straight
+// quotes between letters are Hebrew gershayim (צה"ל) and are masked out first.
+const QUOTE_PATTERN = /["“”„«»]([^"“”„«»\n]+)["“”„«»]/g;
+const IN_WORD_QUOTE = /(?<=[\p{L}\p{N}])["׳״](?=[\p{L}\p{N}])/gu;
+
+const CITATION_MARKER = /\[?REF[-‐‑–]\d+(?:\.\d+)?\]?/g;
+const ELLIPSIS = /\.{3}|…/;
+
+// Words as they appear in the source, so matches map back to character offsets.
+// Quote marks inside a word belong to it, as in TextNormalizer.
+const SOURCE_WORD = /[\p{L}\p{N}\p{M}]+(?:['"׳״‘’“”`][\p{L}\p{N}\p{M}]+)*/gu;
+
+/**
+ * Checks the quotations in an answer against the source text
+ *
+ * Every quoted span is looked up word by word, after the same normalization keyword
+ * search uses, first in the passages the model was given and then in the full text of
+ * each retrieved document. A span found word for word is verified; one that differs in a
+ * few words (a dropped article, a changed suffix) is approximate; anything else is not
+ * found. Elided quotes ("the Tenant shall ... in writing") are checked part by part.
+ */
+class QuoteVerifier {
+  constructor({ analyzer = new TextNormalizer() } = {}) {
+    this.analyzer = analyzer;
+  }
+
+  /**
+   * Quoted spans of an answer
+   * @param {string} answer
+   * @returns {Object[]} [{ text, index }] with index the position of the opening mark
+   */
+  extractQuotes(answer) {
+    const masked = (answer || '').replace(IN_WORD_QUOTE, '\u0000');
+    const quotes = [];
+
+    for (const match of masked.matchAll(QUOTE_PATTERN)) {
+      const text = answer.slice(match.index + 1, match.index + match[0].length - 1).trim();
+      if (this.analyzer.tokenize(text.replace(CITATION_MARKER, ' ')).length >= MIN_QUOTE_WORDS) {
+        quotes.push({ text, index: match.index });
+      }
+    }
+
+    return quotes;
+  }
+
+  /**
+   * Verify every quote of an answer
+   * @param {string} answer
+   * @param {Object} sources
+   * @param {Object[]} sources.passages - Search results ({ document, chunks }) the model was given
+   * @param {Object[]} sources.documents - Documents whose full text is searched next
+   * @param {Function} sources.getDocumentText - documentId => full text, or null
+   * @returns {Object} { score, level, explanation, verified, approximate, notFound, quotes };
+   *   score is null when the answer quotes nothing
+   */
+  verify(answer, { passages = [], documents = [], getDocumentText }) {
+    const chunkSources = passages.flatMap(result => (result.chunks || []).map(chunk => ({
+      document: result.document,
+      chunk,
+      words: null
+    })));
+    const documentSources = documents.map(document => ({ document, chunk: null, words: null }));
+
+    const quotes = this.extractQuotes(answer).map(quote => {
+      const segments = quote.text
+        .replace(CITATION_MARKER, ' ')
+        .split(ELLIPSIS)
+        .map(segment => this.analyzer.tokenize(segment).slice(0, MAX_QUOTE_WORDS))
+        .filter(words => words.length > 0);
+
+      // Passages first: that is what the model saw. Full texts only when they fall short.
+      let best = this.bestMatch(segments, chunkSources, getDocumentText);
+      if (best.similarity < 1) {
+        const fromDocuments = this.bestMatch(segments, documentSources, getDocumentText);
+        if (fromDocuments.similarity > best.similarity) best = fromDocuments;
+      }
+
+      const status = best.similarity === 1 ? 'verified'
+        : best.similarity >= APPROXIMATE_THRESHOLD ? 'approximate'
+        : 'not_found';
+
+      return {
+        text: quote.text,
+        index: quote.index,
+        status,
+        similarity: Math.round(best.similarity * 100) / 100,
+        location: status === 'not_found' ? null : best.location
+      };
+    });
+
+    return this.summarize(quotes);
+  }
+
+  // ---- Internal ----
+
+  // Best source for a quote; an elided quote scores as its weakest part and must be
+  // found in a single source
+  bestMatch(segments, sources, getDocumentText) {
+    let best = { similarity: 0, location: null };
+
+    for (const source of sources) {
+      if (!source.words) {
+        const text = source.chunk ? source.chunk.text : getDocumentText(source.document.id);
+        source.words = this.sourceWords(text || '');
+      }
+
+      let similarity = 1;
+      let first = null;
+      let last = null;
+      for (const segment of segments) {
+        const match = this.align(segment, source.words);
+        similarity = Math.min(similarity, match.similarity);
+        if (match.start !== null) {
+          first = first === null ? match.start : Math.min(first, match.start);
+          last = last === null ? match.end : Math.max(last, match.end);
+        }
+      }
+
+      if (similarity > best.similarity && first !== null) {
+        best = { similarity, location: this.locate(source, first, last) };
+        if (similarity === 1) break;
+      }
+    }
+
+    return best;
+  }
+
+  // Normalized words of a source with their character offsets
+  sourceWords(text) {
+    const words = [];
+    for (const match of text.matchAll(SOURCE_WORD)) {
+      for (const word of this.analyzer.tokenize(match[0])) {
+        words.push({ word, start: match.index, end: match.index + match[0].length });
+      }
+    }
+    return words;
+  }
+
+  // Approximate substring match at word level: edit distance between the quote and the
+  // closest run of source words (free start and end in the source).
+  // Returns { similarity, start, end } with start/end indexes into words.
+  align(quote, words) {
+    const m = quote.length;
+    if (words.length === 0) return { similarity: 0, start: null, end: null };
+
+    // Column of distances for the current source word, and where each alignment started
+    let previous = Array.from({ length: m + 1 }, (_, i) => i);
+    let previousStart = new Array(m + 1).fill(0);
+    let bestDistance = m;
+    let bestStart = null;
+    let bestEnd = null;
+
+    for (let j = 1; j <= words.length; j++) {
+      const current = [0];
+      const currentStart = [j];
+      const word = words[j - 1].word;
+
+      for (let i = 1; i <= m; i++) {
+        const substitute = previous[i - 1] + (quote[i - 1] === word ? 0 : 1);
+        const skipSource = previous[i] + 1;
+        const skipQuote = current[i - 1] + 1;
+
+        if (substitute <= skipSource && substitute <= skipQuote) {
+          current[i] = substitute;
+          currentStart[i] = previousStart[i - 1];
+        } else if (skipSource <= skipQuote) {
+          current[i] = skipSource;
+          currentStart[i] = previousStart[i];
+        } else {
+          current[i] = skipQuote;
+          currentStart[i] = currentStart[i - 1];
+        }
+      }
+
+      if (current[m] < bestDistance) {
+        bestDistance = current[m];
+        bestStart = currentStart[m];
+        bestEnd = j - 1;
+        if (bestDistance === 0) break;
+      }
+
+      previous = current;
+      previousStart = currentStart;
+    }
+
+    return { similarity: 1 - bestDistance / m, start: bestStart, end: bestEnd };
+  }
+
+  // Where a match is, in document text offsets (chunks are verbatim slices of the text)
+  locate(source, first, last) {
+    const base = source.chunk
+      ? (typeof source.chunk.startOffset === 'number' ? source.chunk.startOffset : null)
+      : 0;
+
+    return {
+      documentId: source.document.id,
+      document: source.document.originalName,
+      chunkId: source.chunk ? (source.chunk.id ?? null) : null,
+      pageNumber: source.chunk ? (source.chunk.pageNumber ?? null) : null,
+      startOffset: base === null ? null : base + source.words[first].start,
+      endOffset: base === null ? null : base + source.words[last].end
+    };
+  }
+
+  // Answer-level grounding: verified quotes count fully, approximate ones by similarity
+  summarize(quotes) {
+    const count = status => quotes.filter(quote => quote.status === status).length;
+    const summary = {
+      verified: count('verified'),
+      approximate: count('approximate'),
+      notFound: count('not_found'),
+      quotes
+    };
+
+    if (quotes.length === 0) {
+      return { score: null, level: 'NONE', explanation: 'The answer quotes no source text', ...summary };
+    }
+
+    const score = quotes.reduce((sum, quote) =>
+      sum + (quote.status === 'not_found' ? 0 : quote.similarity), 0) / quotes.length;
+
+    let level, explanation;
+    if (score >= 0.9) {
+      level = 'HIGH';
+      explanation = 'Quotes match the source text';
+    } else if (score >= 0.6) {
+      level = 'MEDIUM';
+      explanation = 'Some quotes are paraphrased or could not be found';
+    } else {
+      level = 'LOW';
+      explanation = 'Most quotes could not be found in the source text';
+    }
+
+    return { score: Math.round(score * 100) / 100, level, explanation, ...summary };
+  }
+}
+
+module.exports = QuoteVerifier;
@@ -3,15 +3,31 @@ const Store = require('electron-store');
 const VectorService = require('./vectorService');
 const DocumentService = require('./documentService');
 const PersonaService = require('./personaService');
+const UsageLedgerService = require('./usageLedgerService');
+const ContextAssembler = require('./contextAssembler');
+const QuoteVerifier = require('./quoteVerifier');
+const QueryRewriter = require('./queryRewriter');
+const ConversationSummarizer = require('./conversationSummarizer');
+
+// Answer length allowed for the follow-up rewriting call; a search query is short
+const QUERY_REWRITE_MAX_TOKENS = 120;
+
+// Answer length allowed for a conversation summary update
+const SUMMARY_MAX_TOKENS = 600;
 
 class RAGService {
-  constructor(vectorService = null, documentService = null) {
+  constructor(vectorService = null, documentService = null, usageLedger = null) {
     this.openai = null;
     
     // Use injected services or create new ones (backward compatibility)
-    this.vectorService = vectorService || new VectorService();
+    this.usageLedger = usageLedger || new UsageLedgerService();
+    this.vectorService = vectorService || new VectorService(this.usageLedger);
     this.documentService = documentService || new DocumentService();
     this.personaService = new PersonaService();
+    this.contextAssembler = new ContextAssembler();
+    this.quoteVerifier = new QuoteVerifier();
+    this.queryRewriter = new QueryRewriter();
+    this.conversationSummarizer = new ConversationSummarizer();
     
     // Settings store for configurations
     this.settingsStore = new Store({
@@ -24,6 +40,12 @@ class RAGService {
       name: 'conversations',
       encryptionKey: 'covenantrix-conversations-key-v1'
     });
+
+    // Abort controllers of chat requests still generating, by request ID
+    this.activeQueries = new Map();
+
+    // Running summary updates, by conversation ID; updates of one conversation are chained
+    this.summaryUpdates = new Map();
     
     const injectionStatus = vectorService && documentService ? '(injected)' : '(self-created)';
     console.log(`🤖 RAGService initialized for conversational contract analysis ${injectionStatus}`);
@@ -50,20 +72,37 @@ class RAGService {
     }
   }
 
+  // Validates the key, endpoint and chat model like VectorService.setupOpenAI; the client
+  // is only kept when validation passes, the reason for a failure is kept in lastSetupError
   async setupOpenAI(apiKey) {
+    this.lastSetupError = null;
     try {
-      this.openai = new OpenAI({ apiKey });
+      // Same endpoint as the embeddings client (see VectorService model settings)
+      const { baseURL, chatModel } = this.vectorService.getModelSettings();
+      const client = new OpenAI({ apiKey, baseURL: baseURL || undefined });
       
-      // Test the connection
-      await this.openai.models.list();
+      // Test the connection; servers that list their models must list the chat model
+      const models = await client.models.list();
+      const available = new Set((models.data || []).map(model => model.id));
+      if (available.size > 0 && !available.has(chatModel)) {
+        throw new Error(`Model "${chatModel}" is not available at ${baseURL || 'api.openai.com'}`);
+      }
+
+      this.openai = client;
       console.log('✅ OpenAI client initialized for RAG');
       return true;
     } catch (error) {
       console.error('❌ OpenAI setup failed:', error);
+      this.lastSetupError = error.message;
       return false;
     }
   }
 
+  // Forget the client so the next query connects with the current model settings
+  resetOpenAI() {
+    this.openai = null;
+  }
+
   // Generate optimized contract-aware prompts based on query type and current persona
   generatePrompt(query, context, queryType = 'general') {
     // Use PersonaService to generate persona-specific prompt
@@ -77,7 +116,7 @@ class RAGService {
 
   // Alternative minimal prompt for high-confidence scenarios
   generateMinimalPrompt(query, context, queryType = 'general') {
-    const minimalInstructions = `Legal analyst. Respond in user's language. ${queryType}: ${query}
+    const minimalInstructions = `Legal analyst. Respond in user's language. Cite passages by label, e.g. [REF-1.2]. ${queryType}: ${query}
 
 ${context}
 
@@ -103,21 +142,19 @@ Analysis:`;
     return this.generateMinimalPrompt(query, context, queryType);
   }
 
-  // Estimate token count (rough approximation: 1 token ≈ 4 characters)
+  // Token count with the chat model's tokenizer, for budget checks before a request;
+  // recorded usage comes from the API
   estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+    return this.contextAssembler.countTokens(text, this.vectorService.getModelSettings().chatModel);
   }
 
-  // Log token usage for monitoring
-  logTokenUsage(prompt, response, queryType, isMinimal = false) {
-    const promptTokens = this.estimateTokens(prompt);
-    const responseTokens = this.estimateTokens(response);
-    const totalTokens = promptTokens + responseTokens;
-    const estimatedCost = (totalTokens / 1000) * 0.03; // GPT-4 pricing
+  // Log token usage of a ledger entry for monitoring
+  logTokenUsage(entry, queryType, isMinimal = false) {
+    const { promptTokens, completionTokens: responseTokens, totalTokens, cost, estimated } = entry;
     
-    console.log(`💰 Token Usage | Type: ${queryType} | Prompt: ${promptTokens} | Response: ${responseTokens} | Total: ${totalTokens} | Cost: ~$${estimatedCost.toFixed(4)} | Minimal: ${isMinimal}`);
+    console.log(`💰 Token Usage | Type: ${queryType} | Prompt: ${promptTokens} | Response: ${responseTokens} | Total: ${totalTokens} | Cost: $${cost.toFixed(4)}${estimated ? ' (estimated)' : ''} | Minimal: ${isMinimal}`);
     
-    return { promptTokens, responseTokens, totalTokens, estimatedCost, isMinimal };
+    return { promptTokens, responseTokens, totalTokens, cost, estimated, isMinimal };
   }
 
   // Advanced contract type classification with multilingual support
@@ -627,8 +664,9 @@ Analysis:`;
         formattedChunks = result.chunks.map((chunk, chunkIndex) => {
           const chunkSimilarity = chunk.similarity ? ` (${Math.round(chunk.similarity * 100)}% relevance)` : '';
           const chunkRef = `${citationId}.${chunkIndex + 1}`;
+          const chunkPage = chunk.pageNumber ? ` (p. ${this.formatPageRange(chunk)})` : '';
           
-          return `[${chunkRef}] ${chunk.text}${chunkSimilarity}`;
+          return `[${chunkRef}]${chunkPage} ${chunk.text}${chunkSimilarity}`;
         }).join('\n\n');
       } else if (result.text) {
         const resultSimilarity = similarity ? ` (${Math.round(similarity * 100)}% relevance)` : '';
@@ -642,6 +680,110 @@ Analysis:`;
     }).join('\n\n─────────────────────────────────────\n\n');
   }
 
+  // "7" or "7-8" for chunks that span a page break
+  formatPageRange(chunk) {
+    return chunk.pageEnd && chunk.pageEnd !== chunk.pageNumber
+      ? `${chunk.pageNumber}-${chunk.pageEnd}`
+      : `${chunk.pageNumber}`;
+  }
+
+  // Source entry for the response, with the location of every passage used
+  formatSource(result) {
+    const chunks = result.chunks || [];
+    const pages = [...new Set(chunks.map(chunk => chunk.pageNumber).filter(Boolean))].sort((a, b) => a - b);
+
+    return {
+      documentId: result.document.id,
+      document: result.document.originalName,
+      matches: result.matches,
+      similarity: result.avgSimilarity || result.similarity,
+      chunks: result.chunks ? result.chunks.length : 1,
+      pages: pages,
+      passages: chunks.map(chunk => ({
+        chunkId: chunk.id ?? null,
+        pageNumber: chunk.pageNumber ?? null,
+        pageEnd: chunk.pageEnd ?? null,
+        startOffset: chunk.startOffset ?? null,
+        endOffset: chunk.endOffset ?? null
+      }))
+    };
+  }
+
+  // Citation markers in an answer ([REF-2.1], REF-2, [REF-1.1, REF-3.2]) resolved against
+  // the results formatContext labelled. One entry per distinct reference, in order of first
+  // use; references to sources or passages that were not in the context are marked invalid.
+  resolveCitations(response, contextResults) {
+    const citations = new Map();
+    // Models sometimes write the label with a non-breaking or en dash
+    const markerPattern = /REF[-\u2010\u2011\u2013](\d+)(?:\.(\d+))?/g;
+
+    for (const match of (response || '').matchAll(markerPattern)) {
+      const sourceNumber = Number(match[1]);
+      const passageNumber = match[2] ? Number(match[2]) : null;
+      const ref = passageNumber ? `REF-${sourceNumber}.${passageNumber}` : `REF-${sourceNumber}`;
+
+      if (citations.has(ref)) {
+        citations.get(ref).occurrences++;
+        continue;
+      }
+
+      citations.set(ref, {
+        ref,
+        occurrences: 1,
+        firstIndex: match.index,
+        ...this.resolveCitation(sourceNumber, passageNumber, contextResults)
+      });
+    }
+
+    const resolved = Array.from(citations.values());
+    const invalid = resolved.filter(citation => !citation.valid);
+    if (invalid.length > 0) {
+      console.warn(`⚠️ Answer cites ${invalid.length} unknown reference(s): ${invalid.map(citation => citation.ref).join(', ')}`);
+    }
+    return resolved;
+  }
+
+  // Location of one reference; REF-n without a passage number cites the whole source
+  resolveCitation(sourceNumber, passageNumber, contextResults) {
+    const result = contextResults[sourceNumber - 1];
+    if (!result) {
+      return { valid: false, reason: 'unknown_source' };
+    }
+
+    const location = {
+      valid: true,
+      documentId: result.document.id,
+      document: result.document.originalName
+    };
+    const chunks = result.chunks || [];
+
+    if (passageNumber === null) {
+      const pages = chunks.flatMap(chunk => [chunk.pageNumber, chunk.pageEnd]).filter(Boolean);
+      return {
+        ...location,
+        chunkId: null,
+        pageNumber: pages.length > 0 ? Math.min(...pages) : null,
+        pageEnd: pages.length > 0 ? Math.max(...pages) : null,
+        startOffset: null,
+        endOffset: null
+      };
+    }
+
+    const chunk = chunks[passageNumber - 1];
+    if (!chunk) {
+      return { ...location, valid: false, reason: 'unknown_passage' };
+    }
+
+    return {
+      ...location,
+      chunkId: chunk.id ?? null,
+      pageNumber: chunk.pageNumber ?? null,
+      pageEnd: chunk.pageEnd ?? chunk.pageNumber ?? null,
+      startOffset: chunk.startOffset ?? null,
+      endOffset: chunk.endOffset ?? null
+    };
+  }
+
   // Helper method to determine confidence level from similarity scores
   getConfidenceLevel(similarity) {
     if (similarity >= 0.8) return 'HIGH';
@@ -732,7 +874,9 @@ Analysis:`;
         if (!apiKey) {
           throw new Error('OpenAI API key not configured. Please add your API key in settings.');
         }
-        await this.setupOpenAI(apiKey);
+        if (!(await this.setupOpenAI(apiKey))) {
+          throw new Error(`OpenAI setup failed: ${this.lastSetupError}`);
+        }
       }
 
       const {
@@ -740,14 +884,25 @@ Analysis:`;
         useConversationContext = true,
         searchType = 'hybrid',
         folderId = null, // Optional folder filtering
-        documentId = null // 🎯 NEW: Optional document filtering (highest priority)
+        documentId = null, // 🎯 NEW: Optional document filtering (highest priority)
+        documentIds = null, // Optional hand-picked set of documents
+        requestId = null, // Lets cancelQuery stop this request
+        onToken = null // Called with each streamed piece of the answer
       } = options;
 
-      // Priority logging: Document > Folder > All
+      const controller = new AbortController();
+      if (requestId) this.activeQueries.set(requestId, controller);
+
+      // Several hand-picked documents are searched one by one so each gets a fair share
+      const documentSet = !documentId && !folderId && Array.isArray(documentIds) ? documentIds : null;
+
+      // Priority logging: Document > Folder > Document set > All
       if (documentId) {
         console.log(`🤖 RAG Query: "${query}" [🎯 Document: ${documentId}]`);
       } else if (folderId) {
         console.log(`🤖 RAG Query: "${query}" [📁 Folder: ${folderId}]`);
+      } else if (documentSet) {
+        console.log(`🤖 RAG Query: "${query}" [🎯 ${documentSet.length} Documents]`);
       } else {
         console.log(`🤖 RAG Query: "${query}" [📚 All Documents]`);
       }
@@ -756,19 +911,17 @@ Analysis:`;
       const queryLanguage = this.detectQueryLanguage(query);
       console.log(`🌍 Detected query language: ${queryLanguage}`);
 
-      // Step 2: Retrieve relevant context with priority filtering
-      // Priority: Document focus > Folder focus > All documents
-      let searchResults;
-      if (documentId) {
-        // 🎯 Highest priority: Search within specific document
-        searchResults = await this.documentService.searchInDocument(query, documentId, searchType);
-      } else if (folderId) {
-        // 📁 Medium priority: Search within specific folder
-        searchResults = await this.documentService.searchDocumentsInFolder(query, folderId, searchType);
-      } else {
-        // 📚 Default: Search all documents
-        searchResults = await this.documentService.searchDocuments(query, searchType);
-      }
+      // Step 2: Rewrite follow-ups into standalone queries; retrieval sees nothing else of the conversation
+      const history = useConversationContext && conversationId ? this.getConversationHistory(conversationId) : [];
+      const summary = useConversationContext && conversationId ? this.getConversationSummary(conversationId) : null;
+      const queryRewrite = await this.rewriteQuery(query, history, { conversationId, signal: controller.signal });
+      const searchQuery = queryRewrite.rewritten;
+
+      // Step 3: Retrieve relevant context, ranked only within the focus
+      // Priority: Document focus > Folder focus > Document set > All documents
+      const searchResults = documentSet
+        ? await this.documentService.searchDocumentSet(searchQuery, documentSet, searchType, maxResults * 3)
+        : await this.documentService.searchDocuments(searchQuery, searchType, { documentId, folderId });
       
       if (searchResults.length === 0) {
         // Return language-appropriate "no results" message
@@ -782,15 +935,13 @@ Analysis:`;
           response: noResultsMessage,
           sources: [],
           conversationId: conversationId || this.generateConversationId(),
-          queryLanguage: queryLanguage
+          queryLanguage: queryLanguage,
+          queryRewrite: queryRewrite
         };
       }
 
-      // Step 3: Format context for LLM
-      const context = this.formatContext(searchResults.slice(0, maxResults));
-      
-            // Step 4: Detect query type for specialized prompts
-      const queryType = this.detectQueryType(query);
+      // Step 4: Detect query type for specialized prompts
+      const queryType = this.detectQueryType(searchQuery);
       console.log(`🎯 Detected query type: ${queryType}`);
       
       // Step 5: Advanced contract intelligence analysis
@@ -805,64 +956,143 @@ Analysis:`;
       // Step 7: Generate smart follow-up questions
       const followUpQuestions = this.generateFollowUpQuestions(queryType, contractType, riskAnalysis, queryLanguage);
       
-      // Step 8: Select optimal prompt based on confidence and complexity
+      // Step 8: Pack the best passages, then the conversation summary and recent history,
+      // into the prompt token budget
+      // A document set is already balanced; every selected document keeps its place
+      const modelSettings = this.vectorService.getModelSettings();
+      const packing = this.contextAssembler.assemble({
+        results: documentSet ? searchResults : searchResults.slice(0, maxResults),
+        history: history,
+        summary: summary ? this.conversationSummarizer.formatForPrompt(summary.text) : null,
+        prompt: this.generateBudgetAwarePrompt(query, '', queryType, confidenceScore.overall),
+        formatContext: (results) => this.formatContext(results),
+        model: modelSettings.chatModel,
+        budget: modelSettings.contextTokens
+      });
+      const context = this.formatContext(packing.results);
+
+      // Step 9: Select optimal prompt based on confidence and complexity
       const prompt = this.selectOptimalPrompt(query, context, queryType, confidenceScore);
+      const messages = [
+        ...(packing.summary ? [{ role: 'system', content: packing.summary }] : []),
+        ...packing.history,
+        { role: 'user', content: prompt }
+      ];
+
+      // Step 10: Enforce the cost budgets against the worst case (full max_tokens answer)
+      const estimatedPromptTokens = this.contextAssembler.countMessageTokens(messages, modelSettings.chatModel);
+      this.usageLedger.checkBudget(
+        this.usageLedger.calculateCost(modelSettings.chatModel, estimatedPromptTokens, modelSettings.maxTokens),
+        this.personaService.getUserTokenBudget()
+      );
 
-      // Step 9: Get conversation history if requested
-      let messages = [{ role: 'user', content: prompt }];
-      if (useConversationContext && conversationId) {
-        const history = this.getConversationHistory(conversationId);
-        if (history.length > 0) {
-          // Add recent context (last 4 exchanges to avoid token limits)
-          const recentHistory = history.slice(-8); // 4 user + 4 assistant messages
-          messages = [...recentHistory, { role: 'user', content: prompt }];
+      // A cancel during rewriting or retrieval: the answer request is never sent, so
+      // there is no usage to record
+      if (controller.signal.aborted) {
+        console.log(`⏹️ RAG query ${requestId} cancelled before the answer was requested`);
+        return {
+          response: '',
+          cancelled: true,
+          sources: searchResults.map(result => this.formatSource(result)),
+          conversationId: conversationId || this.generateConversationId(),
+          queryType: queryType,
+          queryLanguage: queryLanguage,
+          queryRewrite: queryRewrite
+        };
+      }
+
+      // Step 11: Stream LLM response; a cancel keeps whatever arrived so far
+      let response = '';
+      let usage = null;
+      let cancelled = false;
+      try {
+        const stream = await this.openai.chat.completions.create({
+          model: modelSettings.chatModel,
+          messages: messages,
+          temperature: modelSettings.temperature, // Low by default for factual responses
+          max_tokens: modelSettings.maxTokens,
+          stream: true,
+          stream_options: { include_usage: true }
+        }, { signal: controller.signal });
+
+        for await (const chunk of stream) {
+          // The final chunk carries the token usage and no choices
+          if (chunk.usage) usage = chunk.usage;
+          const delta = chunk.choices[0]?.delta?.content;
+          if (!delta) continue;
+          response += delta;
+          if (onToken) onToken(delta);
         }
+      } catch (streamError) {
+        if (!controller.signal.aborted) throw streamError;
+        cancelled = true;
+        console.log(`⏹️ RAG query ${requestId} cancelled after ${response.length} chars`);
       }
 
-      // Step 10: Generate LLM response
-      const completion = await this.openai.chat.completions.create({
-        model: 'gpt-4',
-        messages: messages,
-        temperature: 0.3, // Lower temperature for more factual responses
-        max_tokens: 1000,
-        stream: false
+      // Step 12: Record token usage; cancelled streams report none, so they are estimated
+      const finalConversationId = conversationId || this.generateConversationId();
+      const isMinimalPrompt = prompt.includes('Legal analyst. Respond in user\'s language');
+      const usageEntry = this.usageLedger.record({
+        kind: 'chat',
+        model: modelSettings.chatModel,
+        promptTokens: usage ? usage.prompt_tokens : estimatedPromptTokens,
+        completionTokens: usage ? usage.completion_tokens : this.estimateTokens(response),
+        estimated: !usage,
+        purpose: 'query',
+        personaId: this.personaService.getCurrentPersona(),
+        conversationId: finalConversationId,
+        folderId: documentId ? null : folderId,
+        documentIds: searchResults.map(result => result.document.id)
       });
+      const tokenUsage = this.logTokenUsage(usageEntry, queryType, isMinimalPrompt);
 
-      const response = completion.choices[0].message.content;
+      // Step 13: Resolve the answer's citations to the passages that were in the prompt
+      const citations = this.resolveCitations(response, packing.results);
 
-      // Step 11: Log token usage for optimization tracking
-      const isMinimalPrompt = prompt.includes('Legal analyst. Respond in user\'s language');
-      const tokenUsage = this.logTokenUsage(prompt, response, queryType, isMinimalPrompt);
+      // Step 14: Check quoted text against the passages, then the retrieved documents' full text
+      const grounding = this.quoteVerifier.verify(response, {
+        passages: packing.results,
+        documents: searchResults.map(result => result.document),
+        getDocumentText: (documentId) => this.documentService.getDocumentText(documentId)
+      });
+      if (grounding.score !== null) {
+        console.log(`🔎 Quote grounding: ${grounding.level} (${grounding.verified} verified, ${grounding.approximate} approximate, ${grounding.notFound} not found)`);
+      }
 
-      // Step 12: Save conversation
-      const finalConversationId = conversationId || this.generateConversationId();
-      this.saveConversationTurn(finalConversationId, query, response, searchResults);
+      // Step 15: Save conversation (nothing to save if cancelled before the first token),
+      // then fold the turn into its summary without holding up the answer
+      if (response) {
+        this.saveConversationTurn(finalConversationId, query, response, searchResults);
+        this.scheduleSummaryUpdate(finalConversationId);
+      }
 
       console.log(`✅ Professional RAG Response | ${response.length} chars | ${queryLanguage} | ${contractType} contract | ${riskAnalysis.overall} risk | ${confidenceScore.level} confidence`);
 
       return {
         response: response,
+        cancelled: cancelled,
         
         // Enhanced source information
-        sources: searchResults.map(result => ({
-          document: result.document.originalName,
-          matches: result.matches,
-          similarity: result.avgSimilarity || result.similarity,
-          chunks: result.chunks ? result.chunks.length : 1
-        })),
+        sources: searchResults.map(result => this.formatSource(result)),
         
         // Core metadata
         conversationId: finalConversationId,
         queryType: queryType,
         queryLanguage: queryLanguage,
+        queryRewrite: queryRewrite, // { original, rewritten, method: 'none' | 'llm' | 'rules' } - what was searched
         confidence: confidenceScore,
+        grounding: grounding, // Quote verification: { score, level, quotes: [{ text, status, location }] }
         tokenUsage: tokenUsage,
+        contextPacking: packing.report, // What fit the prompt budget and what was left out
+        citations: citations, // [{ ref, valid, documentId, chunkId, pageNumber, startOffset, ... }]
         
         // 🎯 Context metadata (priority: document > folder > all)
         documentId: documentId, // Highest priority context
         documentName: documentId ? this.documentService.getDocument(documentId)?.originalName : null,
         folderId: !documentId ? folderId : null, // Only show folder if no document focus
         folderName: (!documentId && folderId) ? this.documentService.folderService.getFolder(folderId)?.name : null,
+        documentIds: documentSet,
+        documentNames: documentSet ? documentSet.map(id => this.documentService.getDocument(id)?.originalName || null) : null,
         
         // 🚀 NEW: Contract Intelligence Features
         contractIntelligence: {
@@ -876,26 +1106,116 @@ Analysis:`;
 
     } catch (error) {
       console.error('❌ RAG Query failed:', error);
+
+      // Over budget: nothing was sent, say so plainly
+      if (error.code === 'budget_exceeded') {
+        // Limits saved before worst-case pricing were meant for the prompt-only estimate
+        const legacyNote = error.limit === 'query' && this.personaService.hasLegacyCostLimit()
+          ? ' Your per-query limit was saved when it only covered the prompt; it now also covers a full-length answer.'
+          : '';
+        return {
+          response: `⚠️ ${error.message}. Adjust the budget in settings to continue.${legacyNote}`,
+          sources: [],
+          conversationId: conversationId || this.generateConversationId(),
+          error: error.message,
+          budgetExceeded: true
+        };
+      }
       
       // Fallback to search-only response
       try {
-        const searchResults = await this.documentService.searchDocuments(query, 'keyword');
+        const searchResults = await this.documentService.searchDocuments(query, 'keyword', {
+          documentId: options.documentId,
+          folderId: options.folderId,
+          documentIds: options.documentIds
+        });
         return {
           response: `I encountered an error generating a detailed response, but I found ${searchResults.length} relevant sections in your documents. ${error.message.includes('API key') ? 'Please check your OpenAI API key configuration.' : 'Please try rephrasing your question.'}`,
-          sources: searchResults.map(result => ({
-            document: result.document.originalName,
-            matches: result.matches,
-            chunks: result.chunks ? result.chunks.length : 1
-          })),
+          sources: searchResults.map(result => this.formatSource(result)),
           conversationId: conversationId || this.generateConversationId(),
           error: error.message
         };
       } catch (fallbackError) {
         throw new Error(`RAG query failed: ${error.message}`);
       }
+    } finally {
+      if (options.requestId) this.activeQueries.delete(options.requestId);
     }
   }
 
+  // Standalone search query for a follow-up question. The chat model rewrites it with the
+  // conversation in view; the rule-based rewrite covers failed calls and exhausted budgets.
+  async rewriteQuery(query, history, { conversationId = null, signal = null } = {}) {
+    if (history.length === 0) {
+      return { original: query, rewritten: query, method: 'none' };
+    }
+
+    const modelSettings = this.vectorService.getModelSettings();
+    try {
+      const messages = this.queryRewriter.buildMessages(query, history);
+      const estimatedPromptTokens = this.contextAssembler.countMessageTokens(messages, modelSettings.chatModel);
+      this.usageLedger.checkBudget(
+        this.usageLedger.calculateCost(modelSettings.chatModel, estimatedPromptTokens, QUERY_REWRITE_MAX_TOKENS),
+        { monthlyCostLimit: this.personaService.getUserTokenBudget().monthlyCostLimit }
+      );
+
+      const completion = await this.openai.chat.completions.create({
+        model: modelSettings.chatModel,
+        messages: messages,
+        temperature: 0,
+        max_tokens: QUERY_REWRITE_MAX_TOKENS
+      }, { signal });
+
+      const reply = completion.choices[0]?.message?.content || '';
+      this.usageLedger.record({
+        kind: 'chat',
+        model: modelSettings.chatModel,
+        promptTokens: completion.usage ? completion.usage.prompt_tokens : estimatedPromptTokens,
+        completionTokens: completion.usage ? completion.usage.completion_tokens : this.estimateTokens(reply),
+        estimated: !completion.usage,
+        purpose: 'query_rewrite',
+        personaId: this.personaService.getCurrentPersona(),
+        conversationId: conversationId
+      });
+
+      const rewritten = this.queryRewriter.parseRewrite(reply);
+      if (rewritten) {
+        console.log(`🔁 Query rewritten: "${query}" → "${rewritten}"`);
+        return { original: query, rewritten, method: 'llm' };
+      }
+      console.warn('⚠️ Query rewrite returned no usable query, using rules');
+    } catch (error) {
+      console.warn(`⚠️ Query rewrite failed (${error.message}), using rules`);
+    }
+
+    const rewritten = this.queryRewriter.rewriteWithRules(query, history);
+    if (rewritten !== query) {
+      console.log(`🔁 Query rewritten by rules: "${query}" → "${rewritten}"`);
+    }
+    return { original: query, rewritten, method: 'rules' };
+  }
+
+  // Abort a running queryDocuments call; it returns the partial answer
+  cancelQuery(requestId) {
+    const controller = this.activeQueries.get(requestId);
+    if (!controller) {
+      return { success: false, error: 'No running query with this ID' };
+    }
+
+    controller.abort();
+    return { success: true };
+  }
+
+  // Usage ledger reports; folderOf maps documents to their current folder
+  getUsage(groupBy, options = {}) {
+    const defaultFolderId = this.documentService.folderService.getDefaultFolderId();
+    const folderOf = (documentId) => {
+      const document = this.documentService.getDocument(documentId);
+      return document ? (document.folderId || defaultFolderId) : null;
+    };
+    return this.usageLedger.getUsage(groupBy, { ...options, folderOf });
+  }
+
   // Conversation management
   generateConversationId() {
     return `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
@@ -968,6 +1288,126 @@ Analysis:`;
     }
   }
 
+  // Rolling summary of a conversation: { text, language, coveredTurns, updated }, or null
+  getConversationSummary(conversationId) {
+    try {
+      const conversations = this.conversationStore.get('conversations', {});
+      const conversation = conversations[conversationId];
+      const currentPersona = this.personaService.getCurrentPersona();
+
+      if (!conversation || (conversation.persona && conversation.persona !== currentPersona)) {
+        return null;
+      }
+
+      return conversation.summary || null;
+    } catch (error) {
+      console.error('❌ Error getting conversation summary:', error);
+      return null;
+    }
+  }
+
+  // Queue a summary update after the ones already running for this conversation
+  scheduleSummaryUpdate(conversationId) {
+    const previous = this.summaryUpdates.get(conversationId) || Promise.resolve();
+    const update = previous
+      .then(() => this.updateConversationSummary(conversationId))
+      .finally(() => {
+        if (this.summaryUpdates.get(conversationId) === update) {
+          this.summaryUpdates.delete(conversationId);
+        }
+      });
+
+    this.summaryUpdates.set(conversationId, update);
+    return update;
+  }
+
+  // Merge the turns the summary does not cover yet into it, a batch at a time. A failed
+  // update leaves the summary as it was; the turns are folded in after the next one.
+  async updateConversationSummary(conversationId) {
+    try {
+      const conversation = this.conversationStore.get('conversations', {})[conversationId];
+      if (!conversation || !this.openai) return null;
+
+      const current = conversation.summary || null;
+      const coveredTurns = current ? current.coveredTurns : 0;
+      const newTurns = this.conversationSummarizer.nextBatch(conversation.messages, coveredTurns);
+      if (newTurns.length === 0) return current;
+
+      const language = this.detectConversationLanguage(conversation.messages);
+      const modelSettings = this.vectorService.getModelSettings();
+      const messages = this.conversationSummarizer.buildMessages(current ? current.text : null, newTurns, language);
+      const estimatedPromptTokens = this.contextAssembler.countMessageTokens(messages, modelSettings.chatModel);
+      this.usageLedger.checkBudget(
+        this.usageLedger.calculateCost(modelSettings.chatModel, estimatedPromptTokens, SUMMARY_MAX_TOKENS),
+        { monthlyCostLimit: this.personaService.getUserTokenBudget().monthlyCostLimit }
+      );
+
+      const completion = await this.openai.chat.completions.create({
+        model: modelSettings.chatModel,
+        messages: messages,
+        temperature: 0.2,
+        max_tokens: SUMMARY_MAX_TOKENS
+      });
+
+      const reply = completion.choices[0]?.message?.content || '';
+      this.usageLedger.record({
+        kind: 'chat',
+        model: modelSettings.chatModel,
+        promptTokens: completion.usage ? completion.usage.prompt_tokens : estimatedPromptTokens,
+        completionTokens: completion.usage ? completion.usage.completion_tokens : this.estimateTokens(reply),
+        estimated: !completion.usage,
+        purpose: 'conversation_summary',
+        personaId: conversation.persona || null,
+        conversationId: conversationId
+      });
+
+      const text = this.conversationSummarizer.parseSummary(reply);
+      if (!text) return current;
+
+      // Re-read: turns may have been added, or the conversation deleted, meanwhile
+      const conversations = this.conversationStore.get('conversations', {});
+      if (!conversations[conversationId]) return null;
+
+      const summary = {
+        text,
+        language,
+        coveredTurns: coveredTurns + newTurns.length,
+        updated: new Date().toISOString()
+      };
+      conversations[conversationId].summary = summary;
+      this.conversationStore.set('conversations', conversations);
+
+      console.log(`🧠 Conversation summary updated | ${conversationId} | ${summary.coveredTurns} turns | ${language}`);
+
+      // A full batch may have left older turns behind; turns added since have their own update queued
+      if (this.conversationSummarizer.isFullBatch(newTurns) &&
+          conversations[conversationId].messages.length > summary.coveredTurns) {
+        return this.updateConversationSummary(conversationId);
+      }
+      return summary;
+    } catch (error) {
+      console.warn(`⚠️ Conversation summary update failed (${error.message}); retrying after the next turn`);
+      return null;
+    }
+  }
+
+  // Language most of the user's last three questions are in, so a switch of language
+  // carries over quickly; ties go to the latest question
+  detectConversationLanguage(turns) {
+    const counts = new Map();
+    let language = 'english';
+
+    turns.slice(-3).forEach(turn => {
+      const turnLanguage = this.detectQueryLanguage(turn.query);
+      counts.set(turnLanguage, (counts.get(turnLanguage) || 0) + 1);
+      if (counts.get(turnLanguage) >= (counts.get(language) || 0)) {
+        language = turnLanguage;
+      }
+    });
+
+    return language;
+  }
+
   getAllConversations() {
     try {
       const conversations = this.conversationStore.get('conversations', {});
@@ -982,7 +1422,8 @@ Analysis:`;
           created: conv.created,
           updated: conv.updated,
           messageCount: conv.messages.length,
-          lastQuery: conv.messages.length > 0 ? conv.messages[conv.messages.length - 1].query.substring(0, 100) : ''
+          lastQuery: conv.messages.length > 0 ? conv.messages[conv.messages.length - 1].query.substring(0, 100) : '',
+          summary: conv.summary ? conv.summary.text : null
         }));
     } catch (error) {
       console.error('❌ Error getting conversations:', error);
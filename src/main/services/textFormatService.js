@@ -0,0 +1,578 @@
+const iconv = require('iconv-lite');
+
+const TEXT_FORMATS = {
+  '.txt': 'text',
+  '.md': 'markdown',
+  '.markdown': 'markdown',
+  '.html': 'html',
+  '.htm': 'html',
+  '.rtf': 'rtf'
+};
+
+// Right-to-left code pages tried when a file is not valid UTF-8, with the Unicode
+// letter range each one is expected to produce. Windows-1255 wins ties.
+const RTL_ENCODINGS = [
+  { encoding: 'windows-1255', letters: /[\u05D0-\u05EA]/ },
+  { encoding: 'windows-1256', letters: /[\u0621-\u064A]/ }
+];
+
+// RTF \fcharset values mapped to Windows code pages
+const RTF_CHARSETS = {
+  0: 1252, 161: 1253, 162: 1254, 163: 1258, 177: 1255, 178: 1256, 186: 1257, 204: 1251, 222: 874, 238: 1250
+};
+
+// RTF destinations whose content is not document text
+const RTF_SKIPPED_DESTINATIONS = new Set([
+  'fonttbl', 'colortbl', 'stylesheet', 'listtable', 'listoverridetable', 'info', 'pict', 'object',
+  'themedata', 'colorschememapping', 'datastore', 'latentstyles', 'rsidtbl', 'generator',
+  'xmlnstbl', 'fldinst', 'header', 'headerl', 'headerr', 'headerf', 'footer', 'footerl',
+  'footerr', 'footerf', 'footnote', 'annotation', 'revtbl', 'filetbl', 'pgdsctbl'
+]);
+
+const RTF_SYMBOLS = {
+  par: '\n', line: '\n', sect: '\n\n', page: '\n\n', tab: '\t', cell: ' | ', row: '\n',
+  emdash: '—', endash: '–', bullet: '•', lquote: '‘', rquote: '’', ldblquote: '“', rdblquote: '”',
+  emspace: ' ', enspace: ' ', qmspace: ' '
+};
+
+const HTML_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", shy: '', lrm: '', rlm: '',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  laquo: '«', raquo: '»', bull: '•', middot: '·', sect: '§', para: '¶', copy: '©', reg: '®',
+  trade: '™', euro: '€', pound: '£', times: '×', deg: '°', shekel: '₪'
+};
+
+// HTML elements that start a new line, and those that start a new paragraph
+const HTML_BLOCK_TAGS = new Set([
+  'div', 'section', 'article', 'header', 'footer', 'main', 'aside', 'nav', 'ul', 'ol', 'dl', 'dd', 'dt',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'form', 'fieldset', 'address', 'figure', 'figcaption', 'center'
+]);
+const HTML_PARAGRAPH_TAGS = new Set(['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'hr']);
+const HTML_SKIPPED_TAGS = new Set(['head', 'script', 'style', 'noscript', 'template', 'svg', 'iframe', 'object']);
+
+/**
+ * Text extraction for plain text, Markdown, HTML and RTF documents
+ * Detects the source encoding (including legacy Hebrew/Arabic code pages) and
+ * strips markup while keeping paragraph, heading, list and table structure
+ */
+class TextFormatService {
+  /**
+   * Whether a file extension is handled by this service
+   * @param {string} fileExt - Lower-case extension including the dot
+   */
+  isSupported(fileExt) {
+    return Object.prototype.hasOwnProperty.call(TEXT_FORMATS, fileExt);
+  }
+
+  getSupportedExtensions() {
+    return Object.keys(TEXT_FORMATS);
+  }
+
+  /**
+   * Extract readable text from a text-based document
+   * @param {Buffer} buffer - Raw file contents
+   * @param {string} fileExt - Lower-case extension including the dot
+   * @returns {Object} Extracted text with detected format and encoding
+   */
+  extractText(buffer, fileExt) {
+    const startTime = Date.now();
+    const format = TEXT_FORMATS[fileExt];
+    if (!format) {
+      throw new Error(`Unsupported text format: ${fileExt}`);
+    }
+
+    let text;
+    let encoding;
+
+    if (format === 'rtf') {
+      ({ text, encoding } = this.extractFromRTF(buffer));
+    } else {
+      const declared = format === 'html' ? this.detectHTMLCharset(buffer) : null;
+      ({ text, encoding } = this.decodeBuffer(buffer, declared));
+
+      if (format === 'html') {
+        text = this.htmlToText(text);
+      } else if (format === 'markdown') {
+        text = this.markdownToText(text);
+      }
+    }
+
+    text = this.tidy(text);
+
+    return {
+      text,
+      format,
+      encoding,
+      wordCount: text.split(/\s+/).filter(w => w.length > 0).length,
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  // ---- Encoding detection ----
+
+  decodeBuffer(buffer, declaredEncoding = null) {
+    // Byte order marks are authoritative
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+      return { text: buffer.slice(3).toString('utf8'), encoding: 'utf-8' };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return { text: iconv.decode(buffer.slice(2), 'utf-16le'), encoding: 'utf-16le' };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      return { text: iconv.decode(buffer.slice(2), 'utf-16be'), encoding: 'utf-16be' };
+    }
+
+    const utf16 = this.detectUTF16(buffer);
+    if (utf16) {
+      return { text: iconv.decode(buffer, utf16), encoding: utf16 };
+    }
+
+    // Files without high bytes are the same in every candidate encoding
+    if (!buffer.some(byte => byte >= 0x80)) {
+      return { text: buffer.toString('utf8'), encoding: 'ascii' };
+    }
+
+    if (this.isValidUTF8(buffer)) {
+      return { text: buffer.toString('utf8'), encoding: 'utf-8' };
+    }
+
+    // Trust an explicit declaration only once UTF-8 has been ruled out -
+    // exported HTML often claims a charset it was not saved in
+    if (declaredEncoding && declaredEncoding !== 'utf-8' && iconv.encodingExists(declaredEncoding)) {
+      return { text: iconv.decode(buffer, declaredEncoding), encoding: declaredEncoding };
+    }
+
+    const encoding = this.guessLegacyEncoding(buffer);
+    return { text: iconv.decode(buffer, encoding), encoding };
+  }
+
+  isValidUTF8(buffer) {
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // UTF-16 without a BOM shows up as a NUL in every other byte for Latin text
+  detectUTF16(buffer) {
+    const sample = buffer.slice(0, 4096);
+    if (sample.length < 4) return null;
+
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] === 0) {
+        if (i % 2 === 0) evenZeros++;
+        else oddZeros++;
+      }
+    }
+
+    const half = sample.length / 2;
+    if (oddZeros > half * 0.3 && evenZeros < half * 0.05) return 'utf-16le';
+    if (evenZeros > half * 0.3 && oddZeros < half * 0.05) return 'utf-16be';
+    return null;
+  }
+
+  guessLegacyEncoding(buffer) {
+    const isAsciiLetter = (byte) => (byte >= 0x41 && byte <= 0x5A) || (byte >= 0x61 && byte <= 0x7A);
+
+    // Accented Latin letters sit inside ASCII words ("été"); Hebrew and Arabic
+    // words are runs of high bytes separated by spaces and punctuation
+    let highCount = 0;
+    let latinNeighbours = 0;
+    for (let i = 0; i < buffer.length; i++) {
+      if (buffer[i] < 0x80) continue;
+      highCount++;
+      if (isAsciiLetter(buffer[i - 1]) || isAsciiLetter(buffer[i + 1])) latinNeighbours++;
+    }
+    if (latinNeighbours > highCount / 2) {
+      return 'windows-1252';
+    }
+
+    // Pick the code page whose decoding turns the most high bytes into letters of its script
+    const highBytes = Buffer.from(buffer.filter(byte => byte >= 0x80));
+    let best = RTL_ENCODINGS[0];
+    let bestScore = -1;
+
+    for (const candidate of RTL_ENCODINGS) {
+      const decoded = iconv.decode(highBytes, candidate.encoding);
+      let letters = 0;
+      for (const char of decoded) {
+        if (candidate.letters.test(char)) letters++;
+      }
+      const score = letters / Math.max(1, decoded.length);
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+
+    return best.encoding;
+  }
+
+  detectHTMLCharset(buffer) {
+    const head = buffer.slice(0, 2048).toString('latin1');
+    const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i);
+    return match ? match[1].toLowerCase() : null;
+  }
+
+  // ---- HTML ----
+
+  htmlToText(html) {
+    let output = '';
+    let skipDepth = 0;
+    let preDepth = 0;
+    const lists = [];
+    let cellIndex = 0;
+
+    const newline = (count = 1) => {
+      const trailing = output.match(/\n*$/)[0].length;
+      if (output.length > 0 && trailing < count) {
+        output = output.replace(/[ \t]+$/, '') + '\n'.repeat(count - trailing);
+      }
+    };
+
+    const tokens = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<!?\/?([a-zA-Z][\w:-]*)([^>]*)>|([^<]+|<)/g;
+    let match;
+
+    while ((match = tokens.exec(html)) !== null) {
+      const [token, cdata, rawTag, attributes, textNode] = match;
+
+      if (textNode !== undefined || cdata !== undefined) {
+        if (skipDepth > 0) continue;
+        let text = cdata !== undefined ? cdata : this.decodeEntities(textNode);
+        if (preDepth === 0) {
+          text = text.replace(/\s+/g, ' ');
+          if (/(^|\n)$/.test(output)) text = text.replace(/^ /, '');
+        }
+        output += text;
+        continue;
+      }
+
+      if (!rawTag || token.startsWith('<!')) continue;
+
+      const tag = rawTag.toLowerCase();
+      const closing = token.startsWith('</');
+      const selfClosing = /\/\s*$/.test(attributes || '');
+
+      if (HTML_SKIPPED_TAGS.has(tag)) {
+        if (!selfClosing) skipDepth = Math.max(0, skipDepth + (closing ? -1 : 1));
+        continue;
+      }
+      if (skipDepth > 0) continue;
+
+      if (tag === 'br') {
+        output = output.replace(/[ \t]+$/, '') + '\n';
+      } else if (tag === 'pre') {
+        preDepth = Math.max(0, preDepth + (closing ? -1 : 1));
+        newline(2);
+      } else if (tag === 'ol' || tag === 'ul') {
+        if (closing) {
+          lists.pop();
+        } else {
+          const start = (attributes || '').match(/start\s*=\s*["']?(\d+)/i);
+          lists.push({ ordered: tag === 'ol', count: start ? parseInt(start[1], 10) - 1 : 0 });
+        }
+        newline();
+      } else if (tag === 'li') {
+        newline();
+        if (!closing) {
+          const list = lists[lists.length - 1];
+          const indent = '  '.repeat(Math.max(0, lists.length - 1));
+          if (list && list.ordered) {
+            list.count++;
+            output += `${indent}${list.count}. `;
+          } else {
+            output += `${indent}• `;
+          }
+        }
+      } else if (tag === 'tr') {
+        newline();
+        cellIndex = 0;
+      } else if (tag === 'td' || tag === 'th') {
+        if (!closing) {
+          if (cellIndex > 0) output = output.replace(/\s+$/, '') + ' | ';
+          cellIndex++;
+        }
+      } else if (HTML_PARAGRAPH_TAGS.has(tag)) {
+        newline(2);
+      } else if (HTML_BLOCK_TAGS.has(tag)) {
+        newline();
+      }
+    }
+
+    return output;
+  }
+
+  decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+      if (name[0] === '#') {
+        const codePoint = name[1] === 'x' || name[1] === 'X'
+          ? parseInt(name.slice(2), 16)
+          : parseInt(name.slice(1), 10);
+        return codePoint > 0 && codePoint <= 0x10FFFF ? String.fromCodePoint(codePoint) : entity;
+      }
+      const decoded = HTML_ENTITIES[name.toLowerCase()];
+      return decoded !== undefined ? decoded : entity;
+    });
+  }
+
+  // ---- Markdown ----
+
+  markdownToText(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const output = [];
+    let inFence = false;
+
+    for (const rawLine of lines) {
+      let line = rawLine;
+
+      // Fenced code keeps its content verbatim
+      if (/^\s*(```|~~~)/.test(line)) {
+        inFence = !inFence;
+        continue;
+      }
+      if (inFence) {
+        output.push(line);
+        continue;
+      }
+
+      // Link reference definitions and horizontal rules carry no text
+      if (/^\s{0,3}\[[^\]]+\]:\s*\S+/.test(line)) continue;
+      if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) {
+        output.push('');
+        continue;
+      }
+
+      // Table separator rows
+      if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) continue;
+
+      line = line.replace(/^\s{0,3}(>\s?)+/, '');
+
+      const heading = line.match(/^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/);
+      if (heading) {
+        output.push('', this.stripInlineMarkdown(heading[1]), '');
+        continue;
+      }
+
+      // Setext headings: the underline is dropped, the text line stays on its own
+      if (/^\s{0,3}(=+|-+)\s*$/.test(line) && output.length > 0 && output[output.length - 1].trim()) {
+        output.push('');
+        continue;
+      }
+
+      // Bullets become "•"; numbered items keep their numbers
+      line = line.replace(/^(\s*)[-*+]\s+(\[[ xX]\]\s+)?/, '$1• ');
+
+      // Table rows: drop the outer pipes
+      if (/^\s*\|.*\|\s*$/.test(line)) {
+        line = line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim()).join(' | ');
+      }
+
+      output.push(this.stripInlineMarkdown(line));
+    }
+
+    return output.join('\n');
+  }
+
+  stripInlineMarkdown(text) {
+    return text
+      .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+      .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+      .replace(/<(https?:\/\/[^>]+)>/g, '$1')
+      .replace(/`([^`]+)`/g, '$1')
+      .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '$2')
+      .replace(/(^|[^\w*])\*(?=\S)([^*]*?\S)\*(?!\*)/g, '$1$2')
+      .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1$2')
+      .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '$1')
+      .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+      .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1');
+  }
+
+  // ---- RTF ----
+
+  extractFromRTF(buffer) {
+    const source = buffer.toString('latin1');
+    if (!source.startsWith('{\\rtf')) {
+      throw new Error('Not a valid RTF document');
+    }
+
+    const ansiMatch = source.match(/\\ansicpg(\d+)/);
+    const defaultCodePage = ansiMatch ? parseInt(ansiMatch[1], 10) : 1252;
+    const fontCodePages = {};
+
+    let output = '';
+    let pendingBytes = [];
+    let pendingCodePage = defaultCodePage;
+    const encodingsUsed = new Set();
+
+    const flush = () => {
+      if (pendingBytes.length === 0) return;
+      const encoding = this.codePageEncoding(pendingCodePage);
+      encodingsUsed.add(encoding);
+      output += iconv.decode(Buffer.from(pendingBytes), encoding);
+      pendingBytes = [];
+    };
+    const emit = (text) => {
+      flush();
+      output += text;
+    };
+    const emitByte = (byte, codePage) => {
+      if (pendingBytes.length > 0 && codePage !== pendingCodePage) flush();
+      pendingCodePage = codePage;
+      pendingBytes.push(byte);
+    };
+
+    // Group state: skipped destination, current font, unicode fallback length
+    let state = { skip: false, font: null, uc: 1, fontTable: false, fontId: null };
+    const stack = [];
+    let fallbackToSkip = 0;
+    let i = 0;
+
+    const currentCodePage = () => {
+      const fontCodePage = state.font !== null ? fontCodePages[state.font] : undefined;
+      return fontCodePage || defaultCodePage;
+    };
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '{') {
+        stack.push(state);
+        state = { ...state };
+        i++;
+        continue;
+      }
+      if (char === '}') {
+        state = stack.pop() || state;
+        fallbackToSkip = 0;
+        i++;
+        continue;
+      }
+
+      if (char === '\\') {
+        const next = source[i + 1];
+
+        // Hex-escaped byte in the current code page
+        if (next === '\'') {
+          const byte = parseInt(source.substr(i + 2, 2), 16);
+          i += 4;
+          if (fallbackToSkip > 0) {
+            fallbackToSkip--;
+          } else if (!state.skip && !isNaN(byte)) {
+            emitByte(byte, currentCodePage());
+          }
+          continue;
+        }
+
+        // Control symbols
+        if (next && !/[a-zA-Z]/.test(next)) {
+          i += 2;
+          if (next === '*') {
+            state.skip = true;
+          } else if (fallbackToSkip > 0) {
+            fallbackToSkip--;
+          } else if (!state.skip) {
+            if (next === '\\' || next === '{' || next === '}') emit(next);
+            else if (next === '~') emit(' ');
+            else if (next === '_') emit('-');
+            else if (next === '\n' || next === '\r') emit('\n');
+          }
+          continue;
+        }
+
+        // Control word with optional numeric parameter and delimiting space
+        const word = source.slice(i + 1).match(/^([a-zA-Z]+)(-?\d+)? ?/);
+        if (!word) {
+          i++;
+          continue;
+        }
+        i += 1 + word[0].length;
+        const name = word[1];
+        const param = word[2] !== undefined ? parseInt(word[2], 10) : null;
+
+        if (name === 'bin' && param > 0) {
+          i += param;
+          continue;
+        }
+
+        if (RTF_SKIPPED_DESTINATIONS.has(name)) {
+          state.skip = true;
+          if (name === 'fonttbl') state.fontTable = true;
+          continue;
+        }
+
+        if (state.fontTable) {
+          if (name === 'f') state.fontId = param;
+          else if (name === 'fcharset' && state.fontId !== null && RTF_CHARSETS[param]) fontCodePages[state.fontId] = RTF_CHARSETS[param];
+          else if (name === 'cpg' && state.fontId !== null) fontCodePages[state.fontId] = param;
+          continue;
+        }
+
+        if (name === 'f') {
+          state.font = param;
+        } else if (name === 'uc') {
+          state.uc = param !== null ? param : 1;
+        } else if (name === 'u' && param !== null) {
+          if (!state.skip) emit(String.fromCharCode(param < 0 ? param + 65536 : param));
+          fallbackToSkip = state.uc;
+        } else if (!state.skip && RTF_SYMBOLS[name] !== undefined) {
+          emit(RTF_SYMBOLS[name]);
+        } else if (name === 'pard' || name === 'plain') {
+          flush();
+        }
+        continue;
+      }
+
+      // Raw line breaks are not content in RTF
+      if (char === '\r' || char === '\n') {
+        i++;
+        continue;
+      }
+
+      i++;
+      if (fallbackToSkip > 0) {
+        fallbackToSkip--;
+        continue;
+      }
+      if (state.skip) continue;
+
+      const code = char.charCodeAt(0);
+      if (code >= 0x80) {
+        emitByte(code, currentCodePage());
+      } else {
+        emit(char);
+      }
+    }
+    flush();
+
+    const encoding = encodingsUsed.size > 0 ? [...encodingsUsed].join('+') : this.codePageEncoding(defaultCodePage);
+    return { text: output.replace(/ \| \n/g, '\n'), encoding };
+  }
+
+  codePageEncoding(codePage) {
+    if (codePage === 65001) return 'utf-8';
+    const encoding = codePage === 874 ? 'windows-874' : `windows-${codePage}`;
+    return iconv.encodingExists(encoding) ? encoding : 'windows-1252';
+  }
+
+  // ---- Shared clean-up ----
+
+  // Normalise line endings and whitespace without losing paragraph breaks
+  tidy(text) {
+    return text
+      .replace(/\r\n?/g, '\n')
+      .replace(/\u0000/g, '')
+      .replace(/\u00A0/g, ' ')
+      .split('\n')
+      .map(line => line.replace(/[ \t]+$/, ''))
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+}
+
+module.exports = TextFormatService;
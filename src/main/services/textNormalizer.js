@@ -0,0 +1,105 @@
+// Hebrew final forms and their regular letters
+const HEBREW_FINAL_LETTERS = { 'ך': 'כ', 'ם': 'מ', 'ן': 'נ', 'ף': 'פ', 'ץ': 'צ' };
+
+// Arabic letter variants folded to one form (alef with hamza/madda/wasla, alef maksura,
+// taa marbuta, hamza carriers)
+const ARABIC_LETTER_FORMS = {
+  'أ': 'ا', 'إ': 'ا', 'آ': 'ا', 'ٱ': 'ا',
+  'ى': 'ي', 'ئ': 'ي', 'ؤ': 'و', 'ة': 'ه'
+};
+
+// One-letter Hebrew prefixes (and, the, in, to, from, that, as) that attach to words
+const HEBREW_PREFIX_LETTERS = 'והבלמשכ';
+const HEBREW_MAX_PREFIX = 3;
+
+// Arabic attached prefixes, longest first: conjunctions/prepositions with or without the
+// article, with the number of prefixes each one stacks
+const ARABIC_PREFIXES = [
+  ['وال', 2], ['بال', 2], ['كال', 2], ['فال', 2], ['لل', 2],
+  ['ال', 1], ['و', 1], ['ف', 1], ['ب', 1], ['ك', 1], ['ل', 1]
+];
+
+// Stems shorter than this after one prefix are too ambiguous to match on. Every further
+// stacked Hebrew prefix asks for one more letter, since single leading letters may belong
+// to the root; the multi-letter Arabic clusters are distinctive enough as they are.
+const MIN_STEM_LENGTH = 3;
+
+// A stripped variant may be a different word that happens to start with a prefix letter
+// (הסכם -> סכם), so it counts for less than the word itself, less again per prefix
+const PREFIX_VARIANT_WEIGHT = 0.6;
+
+/**
+ * Language-aware text normalization and tokenization for keyword search
+ *
+ * Used both when indexing chunks and when parsing queries, so both sides agree:
+ * - strips diacritics (Hebrew niqqud and cantillation, Arabic harakat, Latin accents)
+ * - folds Hebrew final letters and Arabic alef/yeh/teh marbuta variants, removes tatweel
+ * - treats geresh/gershayim, straight and curly quotes inside a word as the same
+ *   (so צה"ל, צה״ל and צה''ל all become צהל) and maqaf like a hyphen
+ * - maps Arabic-Indic digits to ASCII
+ * Hebrew and Arabic words also get prefix-stripped variants, so הסכם matches בהסכם
+ * (weighted below an exact match).
+ */
+class TextNormalizer {
+  /**
+   * Normalize text for matching (does not split it)
+   * @param {string} text
+   * @returns {string}
+   */
+  normalize(text) {
+    return (text || '')
+      // Decompose so accents, niqqud and hamza/madda marks become separate combining marks
+      .normalize('NFKD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/[ךםןףץ]/g, letter => HEBREW_FINAL_LETTERS[letter])
+      .replace(/[أإآٱىئؤة]/g, letter => ARABIC_LETTER_FORMS[letter])
+      .replace(/ـ/g, '')
+      .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+      // Geresh, gershayim and quote marks inside a word are dropped
+      .replace(/(?<=[\p{L}\p{N}])['"׳״‘’“”`]+(?=[\p{L}\p{N}])/gu, '')
+      // Maqaf and dash variants separate words like a hyphen
+      .replace(/[־‐-―]/g, '-');
+  }
+
+  /**
+   * Split text into normalized words
+   * @param {string} text
+   * @returns {string[]}
+   */
+  tokenize(text) {
+    return this.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Forms a normalized word can match under: the word itself (weight 1) plus
+   * prefix-stripped stems with a lower weight
+   * @param {string} word - A word returned by tokenize
+   * @returns {Object[]} [{ term, weight }]
+   */
+  variants(word) {
+    const variants = [{ term: word, weight: 1 }];
+
+    if (/^[א-ת]+$/.test(word)) {
+      // ו, ה, ב, ל, מ, ש, כ can stack (וכשהבית) - offer each stripped form
+      for (let i = 0; i < HEBREW_MAX_PREFIX && HEBREW_PREFIX_LETTERS.includes(word[i]); i++) {
+        const stem = word.slice(i + 1);
+        if (stem.length < MIN_STEM_LENGTH + i) break;
+        variants.push({ term: stem, weight: Math.pow(PREFIX_VARIANT_WEIGHT, i + 1) });
+      }
+    } else if (/^[ء-ي]+$/.test(word)) {
+      for (const [prefix, stacked] of ARABIC_PREFIXES) {
+        const stem = word.slice(prefix.length);
+        if (word.startsWith(prefix) && stem.length >= MIN_STEM_LENGTH &&
+            !variants.some(variant => variant.term === stem)) {
+          variants.push({ term: stem, weight: Math.pow(PREFIX_VARIANT_WEIGHT, stacked) });
+        }
+      }
+    }
+
+    return variants;
+  }
+}
+
+module.exports = TextNormalizer;
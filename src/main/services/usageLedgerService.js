@@ -0,0 +1,242 @@
+const Store = require('electron-store');
+const { v4: uuidv4 } = require('uuid');
+
+// USD per 1M tokens. Models are matched by longest prefix, so dated snapshots
+// (gpt-4o-2024-08-06) are billed like their family. Unknown models cost 0 and
+// their entries are marked unpriced.
+const MODEL_PRICES = {
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 },
+  'text-embedding-ada-002': { input: 0.1, output: 0 }
+};
+
+// Entries older than this are dropped when new ones are recorded
+const LEDGER_RETENTION_DAYS = 400;
+
+const GROUPINGS = ['day', 'persona', 'folder', 'document', 'model'];
+
+/**
+ * Persistent ledger of OpenAI usage
+ *
+ * Every chat and embedding request is recorded with the token counts the API
+ * reported (or an estimate, flagged as such, when it reported none) and its cost
+ * at the model's price. The ledger also enforces the per-query and monthly cost
+ * budgets before a request is sent.
+ */
+class UsageLedgerService {
+  constructor() {
+    this.store = new Store({
+      name: 'usage-ledger',
+      encryptionKey: 'covenantrix-usage-key-v1'
+    });
+
+    this.entries = this.store.get('entries', []);
+    console.log(`💰 UsageLedgerService initialized (${this.entries.length} entries)`);
+  }
+
+  /**
+   * Price of a model in USD per 1M tokens
+   * @param {string} model
+   * @returns {Object|null} { input, output }, or null for unknown models
+   */
+  getPrice(model) {
+    const match = Object.keys(MODEL_PRICES)
+      .filter(prefix => (model || '').startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+    return match ? MODEL_PRICES[match] : null;
+  }
+
+  /**
+   * Cost in USD of a request
+   * @param {string} model
+   * @param {number} promptTokens
+   * @param {number} completionTokens
+   * @returns {number}
+   */
+  calculateCost(model, promptTokens, completionTokens = 0) {
+    const price = this.getPrice(model);
+    if (!price) return 0;
+    return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Throw if a request of the given estimated cost would break a budget
+   * @param {number} estimatedCost - Worst-case cost of the request in USD
+   * @param {Object} budget - { costLimit (per query), monthlyCostLimit }; missing or 0 means no limit
+   */
+  checkBudget(estimatedCost, { costLimit = null, monthlyCostLimit = null } = {}) {
+    if (costLimit > 0 && estimatedCost > costLimit) {
+      throw this.budgetError(
+        `This request would cost up to $${estimatedCost.toFixed(4)}, above the per-query limit of $${Number(costLimit).toFixed(2)}`,
+        'query'
+      );
+    }
+
+    if (monthlyCostLimit > 0) {
+      const spent = this.getMonthCost();
+      if (spent + estimatedCost > monthlyCostLimit) {
+        throw this.budgetError(
+          `Monthly budget of $${Number(monthlyCostLimit).toFixed(2)} reached ($${spent.toFixed(2)} spent this month)`,
+          'monthly'
+        );
+      }
+    }
+  }
+
+  /**
+   * Add a request to the ledger
+   * @param {Object} usage - { kind, model, promptTokens, completionTokens, estimated,
+   *   purpose, personaId, conversationId, folderId, documentIds }
+   * @returns {Object} The stored entry
+   */
+  record(usage) {
+    const promptTokens = Math.max(0, Math.round(usage.promptTokens || 0));
+    const completionTokens = Math.max(0, Math.round(usage.completionTokens || 0));
+
+    const entry = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      kind: usage.kind,
+      model: usage.model,
+      purpose: usage.purpose || null,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      cost: this.calculateCost(usage.model, promptTokens, completionTokens),
+      priced: !!this.getPrice(usage.model),
+      estimated: !!usage.estimated,
+      personaId: usage.personaId || null,
+      conversationId: usage.conversationId || null,
+      folderId: usage.folderId || null,
+      documentIds: [...new Set(usage.documentIds || [])]
+    };
+
+    this.entries.push(entry);
+    this.pruneOldEntries();
+    this.store.set('entries', this.entries);
+
+    console.log(`💰 ${entry.kind} usage | ${entry.model} | ${entry.promptTokens} + ${entry.completionTokens} tokens | $${entry.cost.toFixed(4)}${entry.estimated ? ' (estimated)' : ''}`);
+    return entry;
+  }
+
+  /**
+   * Total cost of the calendar month containing `date` (local time)
+   */
+  getMonthCost(date = new Date()) {
+    const month = this.dayKey(date).slice(0, 7);
+    return this.entries
+      .filter(entry => this.dayKey(new Date(entry.timestamp)).startsWith(month))
+      .reduce((sum, entry) => sum + entry.cost, 0);
+  }
+
+  /**
+   * Usage totals grouped by day, persona, folder, document or model
+   *
+   * Requests that concern several documents (a chat answer built from three contracts)
+   * are split evenly between them; requests tied to no document are grouped under null.
+   * @param {string} groupBy - 'day' | 'persona' | 'folder' | 'document' | 'model'
+   * @param {Object} options - { from, to } ISO dates (inclusive days), and
+   *   folderOf(documentId) for attributing documents to their current folder
+   * @returns {Object[]} [{ key, requests, promptTokens, completionTokens, totalTokens, cost }]
+   */
+  getUsage(groupBy, { from = null, to = null, folderOf = null } = {}) {
+    if (!GROUPINGS.includes(groupBy)) {
+      throw new Error(`Usage can be grouped by ${GROUPINGS.join(', ')}`);
+    }
+
+    const groups = new Map();
+    const add = (key, entry, share) => {
+      const group = groups.get(key) || {
+        key, requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0
+      };
+      group.requests += share;
+      group.promptTokens += entry.promptTokens * share;
+      group.completionTokens += entry.completionTokens * share;
+      group.totalTokens += entry.totalTokens * share;
+      group.cost += entry.cost * share;
+      groups.set(key, group);
+    };
+
+    for (const entry of this.entries) {
+      const day = this.dayKey(new Date(entry.timestamp));
+      if ((from && day < from.slice(0, 10)) || (to && day > to.slice(0, 10))) continue;
+
+      for (const [key, share] of this.attribute(entry, groupBy, day, folderOf)) {
+        add(key, entry, share);
+      }
+    }
+
+    return Array.from(groups.values())
+      .map(group => ({
+        ...group,
+        requests: Math.round(group.requests * 100) / 100,
+        promptTokens: Math.round(group.promptTokens),
+        completionTokens: Math.round(group.completionTokens),
+        totalTokens: Math.round(group.totalTokens),
+        cost: Math.round(group.cost * 1e6) / 1e6
+      }))
+      .sort((a, b) => groupBy === 'day'
+        ? String(a.key).localeCompare(String(b.key))
+        : b.cost - a.cost);
+  }
+
+  // ---- Internal ----
+
+  // [key, share] pairs for one entry; shares add up to 1
+  attribute(entry, groupBy, day, folderOf) {
+    switch (groupBy) {
+      case 'day':
+        return [[day, 1]];
+      case 'persona':
+        return [[entry.personaId, 1]];
+      case 'model':
+        return [[entry.model, 1]];
+      case 'document':
+        return this.splitEvenly(entry.documentIds);
+      case 'folder':
+        if (entry.folderId) return [[entry.folderId, 1]];
+        return this.splitEvenly(entry.documentIds.map(documentId => folderOf ? folderOf(documentId) : null));
+    }
+    return [];
+  }
+
+  splitEvenly(keys) {
+    if (keys.length === 0) return [[null, 1]];
+    const shares = new Map();
+    for (const key of keys) {
+      shares.set(key, (shares.get(key) || 0) + 1 / keys.length);
+    }
+    return Array.from(shares.entries());
+  }
+
+  // Local calendar day as YYYY-MM-DD
+  dayKey(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+
+  pruneOldEntries() {
+    const cutoff = Date.now() - LEDGER_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    if (this.entries.length > 0 && new Date(this.entries[0].timestamp).getTime() < cutoff) {
+      this.entries = this.entries.filter(entry => new Date(entry.timestamp).getTime() >= cutoff);
+    }
+  }
+
+  // limit: 'query' or 'monthly', whichever budget the request would break
+  budgetError(message, limit) {
+    const error = new Error(message);
+    error.code = 'budget_exceeded';
+    error.limit = limit;
+    return error;
+  }
+}
+
+module.exports = UsageLedgerService;
@@ -2,11 +2,61 @@ const OpenAI = require('openai');
 const Store = require('electron-store');
 const path = require('path');
 const fs = require('fs');
+const VectorStorage = require('./vectorStorage');
+const HnswIndex = require('./hnswIndex');
+const KeywordIndex = require('./keywordIndex');
+
+// Models and endpoint used for chat and embeddings. baseURL points both clients at an
+// OpenAI-compatible server instead of api.openai.com. contextTokens caps the chat prompt
+// (instructions, passages and history); the default leaves room for a 1000-token answer
+// in GPT-4's 8k window. Editable through updateModelSettings.
+const DEFAULT_MODEL_SETTINGS = {
+  chatModel: 'gpt-4',
+  embeddingModel: 'text-embedding-3-small',
+  temperature: 0.3,
+  maxTokens: 1000,
+  contextTokens: 6000,
+  baseURL: null
+};
+
+// Embedding batches stay well below the endpoint's per-request limits
+// (2048 inputs, 8191 tokens per input, 300k tokens per request)
+const EMBEDDING_BATCH_MAX_TOKENS = 100000;
+const EMBEDDING_BATCH_MAX_INPUTS = 256;
+const EMBEDDING_INPUT_MAX_TOKENS = 8000;
+
+// Backoff for 429/5xx and network errors when the server gives no Retry-After
+const EMBEDDING_RETRIES = 5;
+const EMBEDDING_RETRY_BASE_DELAY = 1000;
+const EMBEDDING_RETRY_MAX_DELAY = 60000;
+
+// Below this many vectors exact search is fast enough and always exact
+const ANN_MIN_CHUNKS = 2000;
+const ANN_INDEX_FILE = 'hnsw_index.json';
+const KEYWORD_INDEX_FILE = 'bm25_index.json';
+const INDEX_SAVE_DELAY = 5000;
+// Insertions between yields to the event loop while (re)building an index
+const INDEX_BUILD_BATCH = 200;
+
+// Hybrid retrieval: BM25 and vector rankings are merged with reciprocal rank fusion,
+// score = sum(weight / (rrfK + rank)). Editable through updateSearchSettings.
+const DEFAULT_SEARCH_SETTINGS = {
+  rrfK: 60,
+  semanticWeight: 1,
+  keywordWeight: 1,
+  candidateCount: 50,
+  bm25K1: 1.2,
+  bm25B: 0.75
+};
 
 class VectorService {
-  constructor() {
+  /**
+   * @param {UsageLedgerService} usageLedger - Optional; records embedding usage and enforces the monthly budget
+   */
+  constructor(usageLedger = null) {
     this.openai = null;
     this.vectorStore = null;
+    this.usageLedger = usageLedger;
     
     // Settings store for API keys
     this.settingsStore = new Store({
@@ -14,18 +64,32 @@ class VectorService {
       encryptionKey: 'covenantrix-settings-key-v1'
     });
 
-    // Local vector storage using electron-store
+    // Legacy electron-store vector database - only read to migrate it
     this.vectorStore = new Store({
       name: 'vector_database',
       encryptionKey: 'covenantrix-vector-key-v1'
     });
 
-    // Get user data path for vector storage
+    // Binary vector storage under userData/vector_db
     const { app } = require('electron');
     this.vectorPath = path.join(app.getPath('userData'), 'vector_db');
     this.ensureDirectoryExists(this.vectorPath);
+    this.storage = new VectorStorage(this.vectorPath);
+    this.initialized = false;
+
+    // Approximate nearest-neighbour index over the stored vectors (see syncAnnIndex)
+    this.annIndexPath = path.join(this.vectorPath, ANN_INDEX_FILE);
+    this.annIndex = null;
+    this.annReady = false;
+    this.annSync = null;
+    this.indexSaveTimer = null;
+
+    // BM25 inverted index over chunk texts, kept next to the vectors
+    this.keywordIndexPath = path.join(this.vectorPath, KEYWORD_INDEX_FILE);
+    this.keywordIndex = null;
+    this.keywordSync = null;
     
-    console.log('🧠 VectorService initialized (Local Storage Mode)');
+    console.log('🧠 VectorService initialized (Binary Storage Mode)');
     console.log('📊 Vector DB path:', this.vectorPath);
   }
 
@@ -36,21 +100,22 @@ class VectorService {
   }
 
   async initialize() {
+    if (this.initialized) return true;
+
     try {
-      // Initialize local vector storage
-      if (!this.vectorStore.get('documents')) {
-        this.vectorStore.set('documents', {});
-        this.vectorStore.set('chunks', {});
-        this.vectorStore.set('metadata', {
-          created: new Date().toISOString(),
-          version: '1.3.1',
-          description: 'Contract document chunks for semantic search'
-        });
-        console.log('📚 New vector database created');
+      const isNew = !this.storage.exists();
+      this.storage.load();
+
+      // Also re-runs after a migration interrupted half way - putChunks overwrites by chunk ID
+      if (this.vectorStore.get('chunks')) {
+        this.migrateLegacyStore();
       } else {
-        console.log('📚 Existing vector database loaded');
+        console.log(`📚 ${isNew ? 'New' : 'Existing'} vector database loaded (${this.storage.getChunkCount()} chunks)`);
       }
 
+      this.initialized = true;
+      this.loadAnnIndex();
+      this.loadKeywordIndex();
       return true;
     } catch (error) {
       console.error('❌ Error initializing VectorService:', error);
@@ -58,124 +123,263 @@ class VectorService {
     }
   }
 
-  async setupOpenAI(apiKey) {
+  // One-time move of chunks from the electron-store JSON blob into the binary storage.
+  // The legacy keys are cleared afterwards so the data is not kept twice.
+  migrateLegacyStore() {
+    const legacyChunks = this.vectorStore.get('chunks') || {};
+    const legacyDocuments = this.vectorStore.get('documents') || {};
+
+    const byDocument = {};
+    for (const chunk of Object.values(legacyChunks)) {
+      (byDocument[chunk.document_id] = byDocument[chunk.document_id] || []).push(chunk);
+    }
+
+    for (const [documentId, entries] of Object.entries(byDocument)) {
+      const info = legacyDocuments[documentId] || {};
+      this.storage.putChunks(documentId, entries, {
+        chunk_count: entries.length,
+        created: info.created || new Date().toISOString(),
+        updated: info.updated || new Date().toISOString()
+      });
+    }
+
+    this.vectorStore.delete('chunks');
+    this.vectorStore.delete('documents');
+    this.vectorStore.set('metadata', {
+      ...this.vectorStore.get('metadata'),
+      migratedTo: this.vectorPath,
+      migratedAt: new Date().toISOString()
+    });
+
+    console.log(`📦 Migrated ${Object.keys(legacyChunks).length} chunks from the legacy vector store to ${this.vectorPath}`);
+  }
+
+  // Validates the key, endpoint and configured models; the reason for a failure is
+  // kept in lastSetupError. The previous client stays in place when validation fails.
+  async setupOpenAI(apiKey, modelSettings = this.getModelSettings()) {
+    this.lastSetupError = null;
     try {
       if (!apiKey) {
         console.log('⚠️ No OpenAI API key provided');
+        this.lastSetupError = 'No OpenAI API key provided';
         return false;
       }
 
-      // Initialize OpenAI client
-      this.openai = new OpenAI({
-        apiKey: apiKey
+      // Initialize OpenAI client - retries are handled by withRetry so Retry-After is honored
+      // and every attempt is visible in the logs
+      const client = new OpenAI({
+        apiKey: apiKey,
+        baseURL: modelSettings.baseURL || undefined,
+        maxRetries: 0
       });
 
-      // Test the API key with a simple request
-      await this.openai.models.list();
+      // Test the API key with a simple request; servers that list their models must
+      // list the configured ones
+      const models = await client.models.list();
+      const available = new Set((models.data || []).map(model => model.id));
+      if (available.size > 0) {
+        for (const model of [modelSettings.chatModel, modelSettings.embeddingModel]) {
+          if (!available.has(model)) {
+            throw new Error(`Model "${model}" is not available at ${modelSettings.baseURL || 'api.openai.com'}`);
+          }
+        }
+      }
+
+      this.openai = client;
 
       // Store the API key securely
       this.settingsStore.set('openai_api_key', apiKey);
       
-      console.log('✅ OpenAI API key validated and stored');
+      console.log(`✅ OpenAI API key validated and stored (${modelSettings.baseURL || 'api.openai.com'})`);
       return true;
     } catch (error) {
       console.error('❌ OpenAI API key validation failed:', error.message);
+      this.lastSetupError = error.message;
       return false;
     }
   }
 
-  async generateEmbedding(text) {
-    try {
-      if (!this.openai) {
-        const storedKey = this.settingsStore.get('openai_api_key');
-        if (!storedKey) {
-          throw new Error('OpenAI API key not configured');
-        }
-        await this.setupOpenAI(storedKey);
+  // Throws with code 'openai_unavailable' when there is no usable client; retrying
+  // would only repeat the same failed validation
+  async ensureOpenAI() {
+    if (!this.openai) {
+      const storedKey = this.settingsStore.get('openai_api_key');
+      if (!storedKey) {
+        throw this.createUnavailableError('OpenAI API key not configured');
+      }
+      if (!(await this.setupOpenAI(storedKey))) {
+        throw this.createUnavailableError(this.lastSetupError || 'OpenAI client not initialized');
       }
+    }
+  }
 
-      const response = await this.openai.embeddings.create({
-        model: "text-embedding-3-small",
-        input: text,
-      });
+  createUnavailableError(message) {
+    const error = new Error(message);
+    error.code = 'openai_unavailable';
+    return error;
+  }
 
-      return response.data[0].embedding;
+  async generateEmbedding(text) {
+    try {
+      const [embedding] = await this.withRetry(() => this.requestEmbeddings([text], { purpose: 'search' }), { retries: 2 });
+      return embedding;
     } catch (error) {
       console.error('❌ Error generating embedding:', error);
       throw error;
     }
   }
 
+  // One embeddings request for several inputs; results come back in input order.
+  // usage: { purpose, documentIds } for the usage ledger.
+  async requestEmbeddings(texts, usage = {}) {
+    await this.ensureOpenAI();
+    const model = this.getModelSettings().embeddingModel;
+    const estimatedTokens = texts.reduce((sum, text) => sum + this.estimateTokens(text), 0);
+
+    if (this.usageLedger) {
+      const { monthlyCostLimit } = this.settingsStore.get('token_budget', {});
+      this.usageLedger.checkBudget(this.usageLedger.calculateCost(model, estimatedTokens), { monthlyCostLimit });
+    }
+
+    const response = await this.openai.embeddings.create({
+      model: model,
+      input: texts,
+    });
+
+    if (this.usageLedger) {
+      this.usageLedger.record({
+        kind: 'embedding',
+        model: model,
+        promptTokens: response.usage?.prompt_tokens ?? estimatedTokens,
+        estimated: !response.usage,
+        purpose: usage.purpose,
+        documentIds: usage.documentIds
+      });
+    }
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  // Embed many texts in token-limited batches. A batch that still fails after all
+  // retries yields null embeddings (the chunks stay keyword-searchable and can be healed later).
+  // onBatch is called after every batch with the number of texts finished so far.
+  // usage: { purpose, documentIds } with documentIds[i] the document of texts[i].
+  async generateEmbeddings(texts, onBatch = null, usage = {}) {
+    const embeddings = new Array(texts.length).fill(null);
+    const batches = this.buildEmbeddingBatches(texts);
+    let finished = 0;
+    let lastError = null;
+
+    for (const batch of batches) {
+      try {
+        const batchUsage = {
+          purpose: usage.purpose,
+          documentIds: usage.documentIds ? batch.map(i => usage.documentIds[i]) : []
+        };
+        const batchEmbeddings = await this.withRetry(() => this.requestEmbeddings(batch.map(i => texts[i]), batchUsage));
+        batch.forEach((textIndex, i) => {
+          embeddings[textIndex] = batchEmbeddings[i] || null;
+        });
+      } catch (error) {
+        lastError = error;
+        console.warn(`⚠️ Embedding batch of ${batch.length} texts failed, storing without embeddings:`, error.message);
+
+        // Without a key or budget nothing else can succeed either
+        if (error.code === 'openai_unavailable' || error.code === 'budget_exceeded') {
+          if (onBatch) onBatch(texts.length, texts.length);
+          break;
+        }
+      }
+
+      finished += batch.length;
+      if (onBatch) onBatch(finished, texts.length);
+    }
+
+    return { embeddings, error: lastError };
+  }
+
+  // Group text indexes into batches under the per-request token and input limits
+  buildEmbeddingBatches(texts) {
+    const batches = [];
+    let current = [];
+    let currentTokens = 0;
+
+    texts.forEach((text, index) => {
+      const tokens = Math.min(this.estimateTokens(text), EMBEDDING_INPUT_MAX_TOKENS);
+      if (current.length > 0 &&
+          (currentTokens + tokens > EMBEDDING_BATCH_MAX_TOKENS || current.length >= EMBEDDING_BATCH_MAX_INPUTS)) {
+        batches.push(current);
+        current = [];
+        currentTokens = 0;
+      }
+      current.push(index);
+      currentTokens += tokens;
+    });
+
+    if (current.length > 0) batches.push(current);
+    return batches;
+  }
+
+  // Conservative token estimate: ~4 characters per token for Latin text, but Hebrew
+  // and Arabic tokenize much worse, so every non-ASCII character counts as a token
+  estimateTokens(text) {
+    let ascii = 0;
+    let other = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text.charCodeAt(i) < 128) ascii++;
+      else other++;
+    }
+    return Math.ceil(ascii / 4) + other;
+  }
+
   async addDocument(documentId, chunks, progressCallback = null) {
     try {
       await this.initialize();
 
-      const documents = this.vectorStore.get('documents') || {};
-      const chunksStore = this.vectorStore.get('chunks') || {};
-
-      // Process each chunk with progress tracking
-      for (let i = 0; i < chunks.length; i++) {
-        const chunk = chunks[i];
-        const chunkId = `${documentId}_chunk_${chunk.id}`;
-        
-        // Report progress
+      const reportProgress = (processed) => {
         if (progressCallback) {
           progressCallback({
-            processed: i,
+            processed,
             total: chunks.length,
-            current: i + 1,
-            percentage: Math.round(((i + 1) / chunks.length) * 100)
+            current: Math.min(processed + 1, chunks.length),
+            percentage: chunks.length > 0 ? Math.round((processed / chunks.length) * 100) : 100
           });
         }
-        
-        try {
-          // Generate embedding for the chunk text
-          const embedding = await this.generateEmbedding(chunk.text);
-          
-          // Store chunk with embedding
-          chunksStore[chunkId] = {
-            id: chunkId,
-            document_id: documentId,
-            chunk_id: chunk.id,
-            text: chunk.text,
-            embedding: embedding,
-            length: chunk.length,
-            sentence_start: chunk.sentenceStart || 0,
-            sentence_end: chunk.sentenceEnd || 0,
-            created: new Date().toISOString()
-          };
-        } catch (embeddingError) {
-          console.warn(`⚠️ Could not generate embedding for chunk ${chunkId}, storing without embedding:`, embeddingError.message);
-          
-          // Store chunk without embedding (for keyword search)
-          chunksStore[chunkId] = {
-            id: chunkId,
-            document_id: documentId,
-            chunk_id: chunk.id,
-            text: chunk.text,
-            embedding: null,
-            length: chunk.length,
-            sentence_start: chunk.sentenceStart || 0,
-            sentence_end: chunk.sentenceEnd || 0,
-            created: new Date().toISOString()
-          };
-        }
-      }
+      };
 
-      // Update document index
-      if (!documents[documentId]) {
-        documents[documentId] = {
-          id: documentId,
-          chunk_count: 0,
-          created: new Date().toISOString()
-        };
+      reportProgress(0);
+      const { embeddings, error: embeddingError } = await this.generateEmbeddings(
+        chunks.map(chunk => chunk.text),
+        (processed) => reportProgress(processed),
+        { purpose: 'ingestion', documentIds: chunks.map(() => documentId) }
+      );
+
+      const missing = embeddings.filter(embedding => !embedding).length;
+      if (missing > 0) {
+        console.warn(`⚠️ ${missing} of ${chunks.length} chunks stored without embedding:`, embeddingError?.message);
       }
-      documents[documentId].chunk_count = chunks.length;
-      documents[documentId].updated = new Date().toISOString();
 
-      // Save to store
-      this.vectorStore.set('documents', documents);
-      this.vectorStore.set('chunks', chunksStore);
+      // Chunks without an embedding are still stored for keyword search
+      const entries = chunks.map((chunk, i) => {
+        const chunkId = `${documentId}_chunk_${chunk.id}`;
+        return this.buildChunkEntry(documentId, chunkId, chunk, embeddings[i]);
+      });
+
+      const existing = this.storage.getDocuments().find(doc => doc.id === documentId);
+      // Chunks re-added under the same ID get new vectors, so their graph nodes are rebuilt
+      entries.forEach(entry => this.annIndex.remove(entry.id));
+      this.storage.putChunks(documentId, entries, {
+        chunk_count: chunks.length,
+        created: existing?.created || new Date().toISOString(),
+        updated: new Date().toISOString()
+      });
+      entries.forEach(entry => {
+        this.annIndex.add(entry.id);
+        this.keywordIndex.add(entry.id, documentId, entry.text);
+      });
+      this.scheduleIndexSave();
 
       console.log(`✅ Added ${chunks.length} chunks to local vector database`);
       return true;
@@ -185,6 +389,25 @@ class VectorService {
     }
   }
 
+  // Vector store entry for a chunk, keeping its position in the source text
+  buildChunkEntry(documentId, chunkId, chunk, embedding) {
+    return {
+      id: chunkId,
+      document_id: documentId,
+      chunk_id: chunk.id,
+      text: chunk.text,
+      embedding: embedding,
+      length: chunk.length,
+      sentence_start: chunk.sentenceStart || 0,
+      sentence_end: chunk.sentenceEnd || 0,
+      page_number: chunk.pageNumber ?? null,
+      page_end: chunk.pageEnd ?? null,
+      start_offset: chunk.startOffset ?? null,
+      end_offset: chunk.endOffset ?? null,
+      created: new Date().toISOString()
+    };
+  }
+
   // Calculate cosine similarity between two vectors
   cosineSimilarity(a, b) {
     if (a.length !== b.length) return 0;
@@ -202,58 +425,201 @@ class VectorService {
     return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
   }
 
-  async semanticSearch(query, limit = 5) {
+  // options.documentIds limits the search to those documents before ranking;
+  // options.exact forces brute-force search (used as the fallback and to check ANN recall);
+  // options.queryEmbedding reuses an embedding the caller already has
+  async semanticSearch(query, limit = 5, options = {}) {
     try {
       await this.initialize();
 
       // Generate embedding for the search query
-      const queryEmbedding = await this.generateEmbedding(query);
-      
-      const chunksStore = this.vectorStore.get('chunks') || {};
-      const searchResults = [];
-
-      // Calculate similarity for each chunk that has embeddings
-      for (const [chunkId, chunk] of Object.entries(chunksStore)) {
-        if (chunk.embedding) {
-          const similarity = this.cosineSimilarity(queryEmbedding, chunk.embedding);
-          
-          searchResults.push({
-            text: chunk.text,
-            metadata: {
-              document_id: chunk.document_id,
-              chunk_id: chunk.chunk_id,
-              length: chunk.length,
-              sentence_start: chunk.sentence_start,
-              sentence_end: chunk.sentence_end
-            },
-            similarity: similarity,
-            document_id: chunk.document_id,
-            chunk_id: chunk.chunk_id
-          });
+      const queryEmbedding = options.queryEmbedding || await this.generateEmbedding(query);
+      return this.searchByEmbedding(queryEmbedding, limit, options);
+    } catch (error) {
+      console.error('❌ Error in semantic search:', error);
+      return [];
+    }
+  }
+
+  searchByEmbedding(queryEmbedding, limit, options = {}) {
+    const scope = this.getSearchScope(options);
+    if (scope && scope.size === 0) return [];
+
+    // A small scope is cheaper to scan exactly than to filter while walking the graph
+    const candidateChunks = scope ? this.countScopedChunks(scope) : this.annIndex.size;
+    const useAnn = !options.exact && this.annReady && this.annIndex.size >= ANN_MIN_CHUNKS &&
+      candidateChunks >= ANN_MIN_CHUNKS;
+    let limitedResults = null;
+    let method = 'exact';
+
+    if (useAnn) {
+      try {
+        limitedResults = this.annSearch(queryEmbedding, limit, scope);
+        method = 'ANN';
+        // A filtered walk can come back short; the exact scan over the scope cannot
+        if (scope && limitedResults.length < limit) {
+          limitedResults = null;
+          method = 'exact';
         }
+      } catch (annError) {
+        console.warn('⚠️ ANN search failed, falling back to exact search:', annError.message);
       }
+    }
+    if (!limitedResults) {
+      limitedResults = this.exactSearch(queryEmbedding, limit, scope);
+    }
+
+    const scopeNote = scope ? `, ${scope.size} document(s) in scope` : '';
+    console.log(`🔍 Semantic search found ${limitedResults.length} results (${method}${scopeNote})`);
+    return limitedResults;
+  }
 
-      // Sort by similarity (highest first) and limit results
-      searchResults.sort((a, b) => b.similarity - a.similarity);
-      const limitedResults = searchResults.slice(0, limit);
+  // Brute force: cosine similarity against every chunk in scope that has an embedding
+  exactSearch(queryEmbedding, limit, scope = null) {
+    const searchResults = [];
 
-      console.log(`🔍 Semantic search found ${limitedResults.length} results`);
-      return limitedResults;
+    for (const chunk of this.storage.iterateChunks()) {
+      if (scope && !scope.has(chunk.document_id)) continue;
+      if (chunk.embedding) {
+        searchResults.push(this.buildSearchResult(chunk, this.cosineSimilarity(queryEmbedding, chunk.embedding)));
+      }
+    }
+
+    // Sort by similarity (highest first) and limit results
+    searchResults.sort((a, b) => b.similarity - a.similarity);
+    return searchResults.slice(0, limit);
+  }
+
+  annSearch(queryEmbedding, limit, scope = null) {
+    const filter = scope
+      ? label => scope.has(this.storage.getChunk(label)?.document_id)
+      : null;
+
+    return this.annIndex.search(queryEmbedding, limit, Math.max(this.annIndex.efSearch, limit * 4), filter)
+      .map(({ label, similarity }) => {
+        const chunk = this.storage.getChunk(label);
+        return chunk ? this.buildSearchResult(chunk, similarity) : null;
+      })
+      .filter(Boolean);
+  }
+
+  // Set of document IDs a search is limited to, or null for all documents
+  getSearchScope(options = {}) {
+    return options.documentIds ? new Set(options.documentIds) : null;
+  }
+
+  countScopedChunks(scope) {
+    return this.storage.getDocuments()
+      .filter(document => scope.has(document.id))
+      .reduce((sum, document) => sum + (document.chunk_count || 0), 0);
+  }
+
+  buildSearchResult(chunk, similarity) {
+    return {
+      text: chunk.text,
+      metadata: {
+        document_id: chunk.document_id,
+        chunk_id: chunk.chunk_id,
+        length: chunk.length,
+        sentence_start: chunk.sentence_start,
+        sentence_end: chunk.sentence_end,
+        page_number: chunk.page_number ?? null,
+        page_end: chunk.page_end ?? null,
+        start_offset: chunk.start_offset ?? null,
+        end_offset: chunk.end_offset ?? null
+      },
+      similarity: similarity,
+      document_id: chunk.document_id,
+      chunk_id: chunk.chunk_id
+    };
+  }
+
+  // BM25 ranking over chunk texts; works without an API key.
+  // options.documentIds limits the search to those documents before ranking.
+  async keywordSearch(query, limit = 10, options = {}) {
+    try {
+      await this.initialize();
+      await this.keywordSync;
+
+      const scope = this.getSearchScope(options);
+      if (scope && scope.size === 0) return [];
+      const filter = scope ? (chunkId, documentId) => scope.has(documentId) : null;
+
+      const results = this.keywordIndex.search(query, limit, filter)
+        .map(hit => {
+          const chunk = this.storage.getChunk(hit.chunkId);
+          if (!chunk) return null;
+          return {
+            ...this.buildSearchResult(chunk, null),
+            keywordScore: hit.score,
+            matchedTerms: hit.matchedTerms
+          };
+        })
+        .filter(Boolean);
+
+      console.log(`🔤 Keyword search found ${results.length} results`);
+      return results;
     } catch (error) {
-      console.error('❌ Error in semantic search:', error);
+      console.error('❌ Error in keyword search:', error);
       return [];
     }
   }
 
-  async hybridSearch(query, limit = 10) {
+  // Chunk-level hybrid retrieval: vector and BM25 candidate lists merged by reciprocal
+  // rank fusion. Falls back to BM25 alone when no query embedding can be made.
+  // options.documentIds scopes both candidate lists; options.queryEmbedding reuses an
+  // embedding the caller already has (null: the caller's request failed, use BM25 alone).
+  async hybridSearch(query, limit = 10, options = {}) {
     try {
-      // Get both semantic and keyword results
-      const semanticResults = await this.semanticSearch(query, Math.ceil(limit / 2));
-      
-      // For now, return semantic results (we'll enhance this later)
+      await this.initialize();
+      const settings = this.getSearchSettings();
+
+      let queryEmbedding = options.queryEmbedding;
+      if (queryEmbedding === undefined) {
+        queryEmbedding = null;
+        try {
+          queryEmbedding = await this.generateEmbedding(query);
+        } catch (embeddingError) {
+          console.warn('⚠️ Hybrid search without vectors:', embeddingError.message);
+        }
+      }
+
+      const semanticResults = queryEmbedding ? this.searchByEmbedding(queryEmbedding, settings.candidateCount, options) : [];
+      const keywordResults = await this.keywordSearch(query, settings.candidateCount, options);
+
+      const fused = new Map();
+      const addRanking = (results, weight, rankField) => {
+        results.forEach((result, index) => {
+          const key = `${result.document_id}_chunk_${result.chunk_id}`;
+          const entry = fused.get(key) || { ...result, fusedScore: 0, semanticRank: null, keywordRank: null };
+          entry.fusedScore += weight / (settings.rrfK + index + 1);
+          entry[rankField] = index + 1;
+          if (result.similarity !== null && result.similarity !== undefined) entry.similarity = result.similarity;
+          if (result.keywordScore !== undefined) {
+            entry.keywordScore = result.keywordScore;
+            entry.matchedTerms = result.matchedTerms;
+          }
+          fused.set(key, entry);
+        });
+      };
+      addRanking(semanticResults, settings.semanticWeight, 'semanticRank');
+      addRanking(keywordResults, settings.keywordWeight, 'keywordRank');
+
+      const results = Array.from(fused.entries())
+        .sort((a, b) => b[1].fusedScore - a[1].fusedScore)
+        .slice(0, limit)
+        .map(([key, result]) => {
+          // Keyword-only hits still get a real similarity for confidence scoring
+          if ((result.similarity === null || result.similarity === undefined) && queryEmbedding) {
+            const embedding = this.storage.getEmbedding(key);
+            result.similarity = embedding ? this.cosineSimilarity(queryEmbedding, embedding) : null;
+          }
+          return result;
+        });
+
       return {
-        results: semanticResults,
-        type: 'semantic',
+        results,
+        type: queryEmbedding ? 'hybrid' : 'keyword',
         query: query
       };
     } catch (error) {
@@ -262,31 +628,136 @@ class VectorService {
     }
   }
 
-  async removeDocument(documentId) {
-    try {
-      await this.initialize();
+  getSearchSettings() {
+    return { ...DEFAULT_SEARCH_SETTINGS, ...this.settingsStore.get('search_settings', {}) };
+  }
 
-      const documents = this.vectorStore.get('documents') || {};
-      const chunksStore = this.vectorStore.get('chunks') || {};
-      
-      let removedChunks = 0;
+  updateSearchSettings(updates = {}) {
+    const limits = {
+      rrfK: [1, 1000],
+      semanticWeight: [0, 10],
+      keywordWeight: [0, 10],
+      candidateCount: [5, 500],
+      bm25K1: [0, 3],
+      bm25B: [0, 1]
+    };
+
+    const settings = this.getSearchSettings();
+    for (const [key, value] of Object.entries(updates)) {
+      if (!(key in limits)) continue;
+      const number = Number(value);
+      const [min, max] = limits[key];
+      if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${key} must be a number between ${min} and ${max}`);
+      }
+      settings[key] = key === 'candidateCount' ? Math.round(number) : number;
+    }
+    if (settings.semanticWeight === 0 && settings.keywordWeight === 0) {
+      throw new Error('At least one of semanticWeight and keywordWeight must be above 0');
+    }
+
+    this.settingsStore.set('search_settings', settings);
+    if (this.keywordIndex) {
+      this.keywordIndex.k1 = settings.bm25K1;
+      this.keywordIndex.b = settings.bm25B;
+    }
+    console.log('⚙️ Search settings updated:', settings);
+    return settings;
+  }
+
+  getModelSettings() {
+    return { ...DEFAULT_MODEL_SETTINGS, ...this.settingsStore.get('model_settings', {}) };
+  }
+
+  // Validate and apply model settings against the (possibly new) endpoint. Switching the
+  // embedding model drops all stored vectors, since vectors from two models cannot be
+  // compared; the caller re-embeds the chunks. Returns { settings, embeddingModelChanged }.
+  async updateModelSettings(updates = {}) {
+    await this.initialize();
+    const current = this.getModelSettings();
+    const settings = { ...current };
+
+    for (const key of ['chatModel', 'embeddingModel']) {
+      if (!(key in updates)) continue;
+      const value = String(updates[key] || '').trim();
+      if (!value) {
+        throw new Error(`${key} must not be empty`);
+      }
+      settings[key] = value;
+    }
 
-      // Remove all chunks for this document
-      for (const [chunkId, chunk] of Object.entries(chunksStore)) {
-        if (chunk.document_id === documentId) {
-          delete chunksStore[chunkId];
-          removedChunks++;
+    if ('temperature' in updates) {
+      const temperature = Number(updates.temperature);
+      if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+        throw new Error('temperature must be a number between 0 and 2');
+      }
+      settings.temperature = temperature;
+    }
+
+    if ('maxTokens' in updates) {
+      const maxTokens = Number(updates.maxTokens);
+      if (!Number.isInteger(maxTokens) || maxTokens < 1 || maxTokens > 128000) {
+        throw new Error('maxTokens must be a whole number between 1 and 128000');
+      }
+      settings.maxTokens = maxTokens;
+    }
+
+    if ('contextTokens' in updates) {
+      const contextTokens = Number(updates.contextTokens);
+      if (!Number.isInteger(contextTokens) || contextTokens < 500 || contextTokens > 1000000) {
+        throw new Error('contextTokens must be a whole number between 500 and 1000000');
+      }
+      settings.contextTokens = contextTokens;
+    }
+
+    if ('baseURL' in updates) {
+      const baseURL = String(updates.baseURL || '').trim().replace(/\/+$/, '');
+      if (baseURL) {
+        let url;
+        try {
+          url = new URL(baseURL);
+        } catch (error) {
+          throw new Error('baseURL must be a valid URL');
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          throw new Error('baseURL must start with http:// or https://');
         }
       }
+      settings.baseURL = baseURL || null;
+    }
+
+    const apiKey = this.settingsStore.get('openai_api_key');
+    if (apiKey && !(await this.setupOpenAI(apiKey, settings))) {
+      throw new Error(this.lastSetupError);
+    }
+
+    const embeddingModelChanged = settings.embeddingModel !== current.embeddingModel;
+    if (embeddingModelChanged) {
+      const dropped = this.storage.clearEmbeddings();
+      const getVector = (label) => this.storage.getEmbedding(label);
+      this.annIndex = new HnswIndex(getVector);
+      this.saveIndexes();
+      console.log(`🔁 Embedding model changed to ${settings.embeddingModel} - dropped ${dropped} vectors for re-embedding`);
+    }
 
-      // Remove document from index
-      if (documents[documentId]) {
-        delete documents[documentId];
+    this.settingsStore.set('model_settings', settings);
+    console.log('⚙️ Model settings updated:', settings);
+    return { settings, embeddingModelChanged };
+  }
+
+  async removeDocument(documentId) {
+    try {
+      await this.initialize();
+
+      // Remove the graph nodes first, while neighbouring vectors can still be read
+      for (const chunkId of this.storage.getDocumentChunkIds(documentId)) {
+        this.annIndex.remove(chunkId);
+        this.keywordIndex.remove(chunkId);
       }
+      this.scheduleIndexSave();
 
-      // Save updated stores
-      this.vectorStore.set('documents', documents);
-      this.vectorStore.set('chunks', chunksStore);
+      // Remove all chunks for this document and its index entry
+      const removedChunks = this.storage.removeDocument(documentId);
 
       console.log(`🗑️ Removed ${removedChunks} chunks from vector database`);
       return true;
@@ -296,33 +767,297 @@ class VectorService {
     }
   }
 
+  // ---- ANN index ----
+
+  // Load the saved graph (or start an empty one) and reconcile it with the stored vectors
+  // in the background. Until that finishes, semanticSearch uses exact search.
+  loadAnnIndex() {
+    const getVector = (label) => this.storage.getEmbedding(label);
+
+    try {
+      this.annIndex = HnswIndex.load(this.annIndexPath, getVector);
+    } catch (error) {
+      console.warn('⚠️ Could not read ANN index, rebuilding:', error.message);
+    }
+    this.annIndex = this.annIndex || new HnswIndex(getVector);
+
+    this.syncAnnIndex();
+  }
+
+  // Add vectors missing from the graph and drop nodes whose vectors are gone,
+  // yielding to the event loop so a full rebuild does not freeze the app
+  syncAnnIndex() {
+    if (this.annSync) return this.annSync;
+
+    this.annSync = (async () => {
+      try {
+        const embedded = new Set(this.storage.iterateEmbeddedChunkIds());
+
+        const stale = Array.from(this.annIndex.labels()).filter(label => !embedded.has(label));
+        stale.forEach(label => this.annIndex.remove(label));
+
+        const missing = Array.from(embedded).filter(label => !this.annIndex.has(label));
+        if (missing.length > 0) {
+          console.log(`🕸️ Adding ${missing.length} vectors to the ANN index...`);
+        }
+        for (let i = 0; i < missing.length; i++) {
+          this.annIndex.add(missing[i]);
+          if ((i + 1) % INDEX_BUILD_BATCH === 0) {
+            await new Promise(resolve => setImmediate(resolve));
+          }
+        }
+
+        if (stale.length > 0 || missing.length > 0) {
+          this.saveAnnIndex();
+        }
+        this.annReady = true;
+        console.log(`🕸️ ANN index ready (${this.annIndex.size} vectors)`);
+      } catch (error) {
+        console.error('❌ Error building ANN index, using exact search:', error);
+        this.annReady = false;
+      } finally {
+        this.annSync = null;
+      }
+    })();
+
+    return this.annSync;
+  }
+
+  // ---- Keyword index ----
+
+  loadKeywordIndex() {
+    const settings = this.getSearchSettings();
+    const options = { k1: settings.bm25K1, b: settings.bm25B };
+
+    try {
+      this.keywordIndex = KeywordIndex.load(this.keywordIndexPath, options);
+    } catch (error) {
+      console.warn('⚠️ Could not read keyword index, rebuilding:', error.message);
+    }
+    this.keywordIndex = this.keywordIndex || new KeywordIndex(options);
+
+    this.syncKeywordIndex();
+  }
+
+  // Index chunks the keyword index is missing (or holds an older text for) and drop
+  // chunks that no longer exist; keyword searches wait for this to finish
+  syncKeywordIndex() {
+    if (this.keywordSync) return this.keywordSync;
+
+    this.keywordSync = (async () => {
+      try {
+        const stored = new Set();
+        let changed = 0;
+
+        for (const chunk of this.storage.iterateChunks()) {
+          stored.add(chunk.id);
+          const entry = this.keywordIndex.getEntry(chunk.id);
+          if (!entry || entry.textLength !== chunk.text.length) {
+            this.keywordIndex.add(chunk.id, chunk.document_id, chunk.text);
+            if (++changed % INDEX_BUILD_BATCH === 0) {
+              await new Promise(resolve => setImmediate(resolve));
+            }
+          }
+        }
+
+        for (const chunkId of Array.from(this.keywordIndex.chunkIds())) {
+          if (!stored.has(chunkId)) {
+            this.keywordIndex.remove(chunkId);
+            changed++;
+          }
+        }
+
+        if (changed > 0) {
+          console.log(`🔤 Keyword index updated (${changed} chunks)`);
+          this.saveKeywordIndex();
+        }
+      } catch (error) {
+        console.error('❌ Error building keyword index:', error);
+      } finally {
+        this.keywordSync = null;
+      }
+    })();
+
+    return this.keywordSync;
+  }
+
+  saveKeywordIndex() {
+    try {
+      this.keywordIndex.save(this.keywordIndexPath);
+    } catch (error) {
+      console.warn('⚠️ Could not save keyword index:', error.message);
+    }
+  }
+
+  // Coalesce index saves - a lost save only costs a quick incremental sync on the next start
+  scheduleIndexSave() {
+    if (this.indexSaveTimer) return;
+    this.indexSaveTimer = setTimeout(() => {
+      this.indexSaveTimer = null;
+      this.saveIndexes();
+    }, INDEX_SAVE_DELAY);
+  }
+
+  // Write pending index changes now (also called on quit)
+  saveIndexes() {
+    clearTimeout(this.indexSaveTimer);
+    this.indexSaveTimer = null;
+    if (this.annIndex) this.saveAnnIndex();
+    if (this.keywordIndex) this.saveKeywordIndex();
+  }
+
+  saveAnnIndex() {
+    try {
+      this.annIndex.save(this.annIndexPath);
+    } catch (error) {
+      console.warn('⚠️ Could not save ANN index:', error.message);
+    }
+  }
+
+  // Re-embed chunks that were stored without an embedding (API down, no key, rate limit).
+  // Chunks are sent in batches with the usual backoff; chunks that still fail stay null
+  // and are picked up by the next run.
+  async healEmbeddings(documentId = null, { progressCallback = null } = {}) {
+    await this.initialize();
+
+    const chunks = documentId ? this.storage.iterateDocumentChunks(documentId) : this.storage.iterateChunks();
+    const pending = Array.from(chunks).filter(chunk => !chunk.embedding);
+
+    const byDocument = {};
+    let healed = 0;
+    let failed = 0;
+    let lastError = null;
+
+    // Skip chunks that were removed or replaced while their embedding was being generated
+    const saveEmbedding = (chunkId, text, embedding) => {
+      const current = this.storage.getChunk(chunkId);
+      if (current && !current.embedding && current.text === text) {
+        this.storage.setEmbedding(chunkId, embedding);
+        this.annIndex.add(chunkId);
+      }
+    };
+
+    console.log(`🩹 Healing embeddings for ${pending.length} chunk(s)${documentId ? ` of document ${documentId}` : ''}`);
+
+    // Embed in slices so progress is reported and saved as we go
+    const sliceSize = EMBEDDING_BATCH_MAX_INPUTS;
+    for (let start = 0; start < pending.length; start += sliceSize) {
+      const slice = pending.slice(start, start + sliceSize);
+      const { embeddings, error } = await this.generateEmbeddings(slice.map(chunk => chunk.text), (processed) => {
+        if (progressCallback) {
+          const done = start + processed;
+          progressCallback({
+            documentId,
+            processed: done,
+            total: pending.length,
+            percentage: Math.round((done / pending.length) * 100)
+          });
+        }
+      }, { purpose: 'repair', documentIds: slice.map(chunk => chunk.document_id) });
+
+      slice.forEach((chunk, i) => {
+        const docStats = byDocument[chunk.document_id] || (byDocument[chunk.document_id] = { healed: 0, failed: 0 });
+        if (embeddings[i]) {
+          saveEmbedding(chunk.id, chunk.text, embeddings[i]);
+          docStats.healed++;
+          healed++;
+        } else {
+          docStats.failed++;
+          failed++;
+        }
+      });
+
+      if (error) {
+        lastError = error.message;
+        if (error.code === 'openai_unavailable' || error.code === 'budget_exceeded') {
+          failed += pending.length - start - slice.length;
+          break;
+        }
+      }
+    }
+
+    if (healed > 0) this.scheduleIndexSave();
+    console.log(`🩹 Embedding heal finished: ${healed} healed, ${failed} failed`);
+    return { total: pending.length, healed, failed, error: lastError, byDocument };
+  }
+
+  // Run fn, retrying rate limits (429), server errors (5xx) and network failures.
+  // Waits for Retry-After when the server sends it, otherwise backs off exponentially
+  // (baseDelay, 2x, 4x, ... capped) with a little jitter.
+  async withRetry(fn, { retries = EMBEDDING_RETRIES, baseDelay = EMBEDDING_RETRY_BASE_DELAY } = {}) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await fn();
+      } catch (error) {
+        if (attempt >= retries || !this.isRetryableError(error)) {
+          throw error;
+        }
+        const delay = this.getRetryDelay(error, attempt, baseDelay);
+        console.warn(`⏳ Embedding request failed (${error.status || error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+
+  isRetryableError(error) {
+    if (error.code === 'openai_unavailable') return false;
+    if (error.code === 'budget_exceeded') return false;
+    // No status means the request never got an HTTP response (network error, timeout)
+    if (!error.status) return true;
+    return error.status === 408 || error.status === 409 || error.status === 429 || error.status >= 500;
+  }
+
+  getRetryDelay(error, attempt, baseDelay) {
+    const headers = error.headers || {};
+    const header = (name) => typeof headers.get === 'function' ? headers.get(name) : headers[name];
+
+    const retryAfterMs = parseFloat(header('retry-after-ms'));
+    if (!isNaN(retryAfterMs) && retryAfterMs >= 0) {
+      return Math.min(retryAfterMs, EMBEDDING_RETRY_MAX_DELAY);
+    }
+
+    const retryAfter = header('retry-after');
+    if (retryAfter) {
+      // Either a number of seconds or an HTTP date
+      const seconds = parseFloat(retryAfter);
+      const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!isNaN(delay) && delay >= 0) {
+        return Math.min(delay, EMBEDDING_RETRY_MAX_DELAY);
+      }
+    }
+
+    const backoff = Math.min(baseDelay * Math.pow(2, attempt), EMBEDDING_RETRY_MAX_DELAY);
+    return Math.round(backoff * (1 + Math.random() * 0.25));
+  }
+
+  // Number of stored chunks for one document, and how many of them have embeddings
+  async getDocumentVectorStats(documentId) {
+    await this.initialize();
+    return this.storage.countChunks(documentId);
+  }
+
   async getStats() {
     try {
       await this.initialize();
 
-      const documents = this.vectorStore.get('documents') || {};
-      const chunksStore = this.vectorStore.get('chunks') || {};
-      
       // Count chunks with embeddings
-      let chunksWithEmbeddings = 0;
-      for (const chunk of Object.values(chunksStore)) {
-        if (chunk.embedding) {
-          chunksWithEmbeddings++;
-        }
-      }
+      const { chunks: totalChunks, embedded: chunksWithEmbeddings } = this.storage.countChunks();
       
       return {
-        total_chunks: Object.keys(chunksStore).length,
+        total_chunks: totalChunks,
         chunks_with_embeddings: chunksWithEmbeddings,
-        total_documents: Object.keys(documents).length,
+        chunks_missing_embeddings: totalChunks - chunksWithEmbeddings,
+        total_documents: this.storage.getDocuments().length,
+        embedding_dimension: this.storage.getInfo().dimension,
         has_openai_key: !!this.settingsStore.get('openai_api_key'),
-        storage_type: 'local_store'
+        storage_type: 'binary_vector_db'
       };
     } catch (error) {
       console.error('❌ Error getting vector database stats:', error);
       return { 
         total_chunks: 0, 
         chunks_with_embeddings: 0,
+        chunks_missing_embeddings: 0,
         total_documents: 0,
         has_openai_key: false,
         storage_type: 'error'
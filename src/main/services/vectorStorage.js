@@ -0,0 +1,486 @@
+const fs = require('fs');
+const path = require('path');
+
+const STORAGE_VERSION = 1;
+
+// Rewrite the files once this many log lines / vector slots are dead and they
+// outnumber the live ones
+const COMPACT_MIN_GARBAGE = 1000;
+
+/**
+ * On-disk vector storage for chunk embeddings
+ *
+ * Files in the storage directory:
+ * - manifest.json      format version, embedding dimension and current file generation
+ * - vectors.<gen>.bin  float32 vectors (little endian), one fixed-size slot per embedded chunk
+ * - chunks.<gen>.log   JSON lines journal of chunk metadata and document index changes
+ *
+ * Appends and deletes only touch the end of the journal and single vector slots;
+ * freed slots are reused. Once enough dead entries pile up, both files are rewritten
+ * under a new generation and the manifest is swapped atomically, so a crash at any
+ * point leaves a readable previous generation.
+ */
+class VectorStorage {
+  /**
+   * @param {string} dirPath - Directory holding the storage files
+   */
+  constructor(dirPath) {
+    this.dirPath = dirPath;
+    this.manifestPath = path.join(dirPath, 'manifest.json');
+    this.loaded = false;
+  }
+
+  /**
+   * Whether storage files exist yet (false before the first write or migration)
+   */
+  exists() {
+    return fs.existsSync(this.manifestPath);
+  }
+
+  /**
+   * Read the manifest, journal and vectors into memory. Safe to call repeatedly.
+   */
+  load() {
+    if (this.loaded) return;
+
+    this.manifest = this.exists()
+      ? JSON.parse(fs.readFileSync(this.manifestPath, 'utf-8'))
+      : { version: STORAGE_VERSION, dimension: null, generation: 1, created: new Date().toISOString() };
+
+    this.chunks = new Map();
+    this.documents = new Map();
+    // documentId -> Set of chunk IDs, so per-document work does not scan every chunk
+    this.documentChunks = new Map();
+    this.logLines = 0;
+
+    const logPath = this.getLogPath();
+    if (fs.existsSync(logPath)) {
+      for (const line of fs.readFileSync(logPath, 'utf-8').split('\n')) {
+        if (!line) continue;
+        try {
+          this.applyLogEntry(JSON.parse(line));
+          this.logLines++;
+        } catch (error) {
+          // A line cut short by a crash - everything before it is intact
+          console.warn('⚠️ Skipping unreadable vector journal line');
+        }
+      }
+    }
+
+    this.loadVectors();
+    this.loaded = true;
+  }
+
+  /**
+   * Add or replace chunk entries and update the document index
+   * @param {string} documentId - Owning document
+   * @param {Object[]} entries - Chunk entries with an `embedding` array or null
+   * @param {Object} documentInfo - Fields to store on the document index entry
+   */
+  putChunks(documentId, entries, documentInfo = {}) {
+    this.load();
+    const lines = [];
+    const released = [];
+
+    for (const entry of entries) {
+      const { embedding, ...meta } = entry;
+      const previous = this.chunks.get(meta.id);
+      if (previous && previous.slot !== null) {
+        released.push(previous.slot);
+      }
+
+      meta.slot = this.writeVector(embedding);
+      this.setChunk(meta);
+      lines.push({ op: 'put', chunk: meta });
+    }
+
+    const document = { ...this.documents.get(documentId), ...documentInfo, id: documentId };
+    this.documents.set(documentId, document);
+    lines.push({ op: 'doc', document });
+
+    this.appendLog(lines);
+    this.releaseSlots(released);
+  }
+
+  /**
+   * Attach an embedding to a chunk that was stored without one
+   * @returns {boolean} False if the chunk no longer exists
+   */
+  setEmbedding(chunkId, embedding) {
+    this.load();
+    const meta = this.chunks.get(chunkId);
+    if (!meta) return false;
+
+    const previousSlot = meta.slot;
+    meta.slot = this.writeVector(embedding);
+    this.appendLog([{ op: 'emb', id: chunkId, slot: meta.slot }]);
+    if (previousSlot !== null) this.releaseSlots([previousSlot]);
+    return meta.slot !== null;
+  }
+
+  /**
+   * Drop every stored vector while keeping the chunks (after an embedding model change)
+   * @returns {number} Number of vectors dropped
+   */
+  clearEmbeddings() {
+    this.load();
+    const lines = [];
+
+    for (const meta of this.chunks.values()) {
+      if (meta.slot === null) continue;
+      meta.slot = null;
+      lines.push({ op: 'emb', id: meta.id, slot: null });
+    }
+    if (lines.length === 0) return 0;
+
+    this.appendLog(lines);
+    // Rewrites an empty vector file, so the next embedding may set a new dimension
+    this.compact();
+    return lines.length;
+  }
+
+  /**
+   * Remove every chunk of a document and its index entry
+   * @returns {number} Number of chunks removed
+   */
+  removeDocument(documentId) {
+    this.load();
+    const lines = [];
+    const released = [];
+
+    for (const chunkId of this.getDocumentChunkIds(documentId)) {
+      const meta = this.chunks.get(chunkId);
+      if (meta.slot !== null) released.push(meta.slot);
+      this.deleteChunk(chunkId);
+      lines.push({ op: 'del', id: chunkId });
+    }
+
+    if (this.documents.has(documentId)) {
+      this.documents.delete(documentId);
+      lines.push({ op: 'deldoc', id: documentId });
+    }
+
+    if (lines.length > 0) {
+      this.appendLog(lines);
+      this.releaseSlots(released);
+      this.compactIfNeeded();
+    }
+    return lines.filter(line => line.op === 'del').length;
+  }
+
+  /**
+   * Chunk entry with its embedding (a Float32Array view, or null)
+   */
+  getChunk(chunkId) {
+    this.load();
+    const meta = this.chunks.get(chunkId);
+    return meta ? this.withEmbedding(meta) : null;
+  }
+
+  /**
+   * Embedding of a chunk without copying its metadata (null if missing)
+   */
+  getEmbedding(chunkId) {
+    this.load();
+    const meta = this.chunks.get(chunkId);
+    return meta && meta.slot !== null ? this.readVector(meta.slot) : null;
+  }
+
+  /**
+   * Iterate over all chunk entries, with embeddings attached
+   */
+  *iterateChunks() {
+    this.load();
+    for (const meta of this.chunks.values()) {
+      yield this.withEmbedding(meta);
+    }
+  }
+
+  /**
+   * Iterate over the chunk entries of one document, with embeddings attached
+   */
+  *iterateDocumentChunks(documentId) {
+    for (const chunkId of this.getDocumentChunkIds(documentId)) {
+      yield this.withEmbedding(this.chunks.get(chunkId));
+    }
+  }
+
+  /**
+   * IDs of the stored chunks of one document
+   */
+  getDocumentChunkIds(documentId) {
+    this.load();
+    return Array.from(this.documentChunks.get(documentId) || []);
+  }
+
+  /**
+   * IDs of all chunks that have an embedding
+   */
+  *iterateEmbeddedChunkIds() {
+    this.load();
+    for (const meta of this.chunks.values()) {
+      if (meta.slot !== null) yield meta.id;
+    }
+  }
+
+  /**
+   * Chunk and embedding counts for one document, or the whole store without a documentId
+   * @returns {Object} { chunks, embedded }
+   */
+  countChunks(documentId = null) {
+    this.load();
+    const chunkIds = documentId ? (this.documentChunks.get(documentId) || []) : this.chunks.keys();
+    let chunks = 0;
+    let embedded = 0;
+    for (const chunkId of chunkIds) {
+      chunks++;
+      if (this.chunks.get(chunkId).slot !== null) embedded++;
+    }
+    return { chunks, embedded };
+  }
+
+  getDocuments() {
+    this.load();
+    return Array.from(this.documents.values());
+  }
+
+  getChunkCount() {
+    this.load();
+    return this.chunks.size;
+  }
+
+  getInfo() {
+    this.load();
+    return {
+      version: this.manifest.version,
+      dimension: this.manifest.dimension,
+      created: this.manifest.created,
+      generation: this.manifest.generation
+    };
+  }
+
+  /**
+   * Rewrite the journal and vector file without dead entries
+   */
+  compact() {
+    this.load();
+    const generation = this.manifest.generation + 1;
+    const vectorPath = this.getVectorPath(generation);
+    const logPath = this.getLogPath(generation);
+
+    const dimension = this.manifest.dimension;
+    const live = Array.from(this.chunks.values()).filter(meta => meta.slot !== null);
+    const vectors = new Float32Array(live.length * (dimension || 0));
+    const slots = new Map();
+
+    live.forEach((meta, newSlot) => {
+      vectors.set(this.readVector(meta.slot), newSlot * dimension);
+      slots.set(meta.id, newSlot);
+    });
+
+    const lines = [];
+    for (const meta of this.chunks.values()) {
+      lines.push(JSON.stringify({ op: 'put', chunk: { ...meta, slot: slots.has(meta.id) ? slots.get(meta.id) : null } }));
+    }
+    for (const document of this.documents.values()) {
+      lines.push(JSON.stringify({ op: 'doc', document }));
+    }
+
+    fs.writeFileSync(vectorPath, Buffer.from(vectors.buffer));
+    fs.writeFileSync(logPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+
+    const previousGeneration = this.manifest.generation;
+    this.writeManifest({ ...this.manifest, generation });
+
+    for (const file of [this.getVectorPath(previousGeneration), this.getLogPath(previousGeneration)]) {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    }
+
+    for (const meta of this.chunks.values()) {
+      meta.slot = slots.has(meta.id) ? slots.get(meta.id) : null;
+    }
+    this.vectors = vectors;
+    this.slotCount = live.length;
+    this.freeSlots = [];
+    this.logLines = lines.length;
+
+    console.log(`🗜️ Vector storage compacted: ${this.chunks.size} chunks, ${live.length} vectors`);
+  }
+
+  // ---- Internal ----
+
+  getVectorPath(generation = this.manifest.generation) {
+    return path.join(this.dirPath, `vectors.${generation}.bin`);
+  }
+
+  getLogPath(generation = this.manifest.generation) {
+    return path.join(this.dirPath, `chunks.${generation}.log`);
+  }
+
+  applyLogEntry(entry) {
+    switch (entry.op) {
+      case 'put':
+        this.setChunk(entry.chunk);
+        break;
+      case 'emb': {
+        const meta = this.chunks.get(entry.id);
+        if (meta) meta.slot = entry.slot;
+        break;
+      }
+      case 'del':
+        this.deleteChunk(entry.id);
+        break;
+      case 'doc':
+        this.documents.set(entry.document.id, entry.document);
+        break;
+      case 'deldoc':
+        this.documents.delete(entry.id);
+        break;
+    }
+  }
+
+  // Chunk map and per-document index change together
+  setChunk(meta) {
+    const previous = this.chunks.get(meta.id);
+    if (previous && previous.document_id !== meta.document_id) {
+      this.deleteChunk(meta.id);
+    }
+    this.chunks.set(meta.id, meta);
+
+    let chunkIds = this.documentChunks.get(meta.document_id);
+    if (!chunkIds) {
+      chunkIds = new Set();
+      this.documentChunks.set(meta.document_id, chunkIds);
+    }
+    chunkIds.add(meta.id);
+  }
+
+  deleteChunk(chunkId) {
+    const meta = this.chunks.get(chunkId);
+    if (!meta) return;
+    this.chunks.delete(chunkId);
+
+    const chunkIds = this.documentChunks.get(meta.document_id);
+    if (chunkIds) {
+      chunkIds.delete(chunkId);
+      if (chunkIds.size === 0) this.documentChunks.delete(meta.document_id);
+    }
+  }
+
+  loadVectors() {
+    const dimension = this.manifest.dimension;
+    const vectorPath = this.getVectorPath();
+    const buffer = dimension && fs.existsSync(vectorPath) ? fs.readFileSync(vectorPath) : Buffer.alloc(0);
+
+    // Copy into an aligned buffer; a partially written trailing slot is dropped
+    this.slotCount = dimension ? Math.floor(buffer.length / (dimension * 4)) : 0;
+    this.vectors = new Float32Array(this.slotCount * (dimension || 0));
+    new Uint8Array(this.vectors.buffer).set(buffer.subarray(0, this.vectors.byteLength));
+
+    const used = new Set();
+    for (const meta of this.chunks.values()) {
+      if (meta.slot === null || meta.slot === undefined) {
+        meta.slot = null;
+      } else if (meta.slot >= this.slotCount) {
+        // Journal refers to a vector that never reached the disk
+        meta.slot = null;
+      } else {
+        used.add(meta.slot);
+      }
+    }
+
+    this.freeSlots = [];
+    for (let slot = 0; slot < this.slotCount; slot++) {
+      if (!used.has(slot)) this.freeSlots.push(slot);
+    }
+  }
+
+  // Store a vector in a free slot (or a new one at the end) and return the slot, or null if there is nothing to store
+  writeVector(embedding) {
+    if (!embedding || embedding.length === 0) return null;
+
+    if (embedding.length !== this.manifest.dimension && this.slotCount === this.freeSlots.length) {
+      // No live vectors yet (or any more) - the first embedding decides the dimension
+      this.resetVectors(embedding.length);
+    }
+
+    if (embedding.length !== this.manifest.dimension) {
+      console.warn(`⚠️ Embedding has ${embedding.length} dimensions, index uses ${this.manifest.dimension} - storing chunk without embedding`);
+      return null;
+    }
+
+    const dimension = this.manifest.dimension;
+    const slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.slotCount;
+    const vector = Float32Array.from(embedding);
+
+    if (slot === this.slotCount) {
+      // Grow the in-memory copy geometrically so appends stay cheap
+      if ((slot + 1) * dimension > this.vectors.length) {
+        const grown = new Float32Array(Math.max(this.vectors.length * 2, (slot + 1) * dimension));
+        grown.set(this.vectors);
+        this.vectors = grown;
+      }
+      this.slotCount++;
+    }
+    this.vectors.set(vector, slot * dimension);
+
+    const fd = fs.openSync(this.getVectorPath(), fs.existsSync(this.getVectorPath()) ? 'r+' : 'w');
+    try {
+      fs.writeSync(fd, Buffer.from(vector.buffer), 0, vector.byteLength, slot * dimension * 4);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return slot;
+  }
+
+  resetVectors(dimension) {
+    fs.writeFileSync(this.getVectorPath(), Buffer.alloc(0));
+    this.vectors = new Float32Array(0);
+    this.slotCount = 0;
+    this.freeSlots = [];
+    this.writeManifest({ ...this.manifest, dimension });
+  }
+
+  readVector(slot) {
+    const dimension = this.manifest.dimension;
+    return this.vectors.subarray(slot * dimension, (slot + 1) * dimension);
+  }
+
+  // Slots become reusable only after the journal no longer points at them,
+  // so a crash can never leave a chunk attached to another chunk's vector
+  releaseSlots(slots) {
+    this.freeSlots.push(...slots);
+  }
+
+  withEmbedding(meta) {
+    const { slot, ...entry } = meta;
+    entry.embedding = slot === null ? null : this.readVector(slot);
+    return entry;
+  }
+
+  appendLog(entries) {
+    if (!this.exists()) this.writeManifest(this.manifest);
+    fs.appendFileSync(this.getLogPath(), entries.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    this.logLines += entries.length;
+  }
+
+  compactIfNeeded() {
+    const deadLines = this.logLines - this.chunks.size - this.documents.size;
+    const deadSlots = this.freeSlots.length;
+    const liveSlots = this.slotCount - deadSlots;
+
+    if ((deadLines > COMPACT_MIN_GARBAGE && deadLines > this.chunks.size) ||
+        (deadSlots > COMPACT_MIN_GARBAGE && deadSlots > liveSlots)) {
+      this.compact();
+    }
+  }
+
+  writeManifest(manifest) {
+    const tempPath = `${this.manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempPath, this.manifestPath);
+    this.manifest = manifest;
+  }
+}
+
+module.exports = VectorStorage;